@@ -1,10 +1,64 @@
 'use strict';
 
 var utils         = require('./lib/utils');
+var errors        = require('./lib/errors');
+var fetchAdapter  = require('./lib/adapters/fetch');
+var jqueryAdapter = require('./lib/adapters/jquery');
+var keyTransforms = require('./lib/key-transforms');
+var MockServer    = require('./lib/adapters/mock-server');
+var actions       = require('./lib/actions');
+var batch         = require('./lib/batch');
+var Page          = require('./lib/page');
+var pagination    = require('./lib/pagination');
+var relationships = require('./lib/relationships');
+var retry         = require('./lib/retry');
+var serializers   = require('./lib/serializers');
+var transforms    = require('./lib/transforms');
+var validators    = require('./lib/validators');
 var observer      = Ember.observer;
 var computed = Ember.computed;
 var capitalize = Ember.String.capitalize;
 
+/**
+ * Cached records, keyed first by class `typeKey` and then by primary key, as
+ * built by `::getIdentityKey`.
+ *
+ * @property identityMaps
+ * @private
+ * @type {Object}
+ */
+var identityMaps = {};
+
+/**
+ * Validators (`ETag` and `Last-Modified`) and deserialized bodies of GET
+ * responses, keyed first by class `typeKey` and then by URL.
+ *
+ * @property responseCaches
+ * @private
+ * @type {Object}
+ */
+var responseCaches = {};
+
+/**
+ * Promises of in-flight GET requests shared by identical requests, keyed by
+ * class and request, as built by `::getInFlightKey`.
+ *
+ * @property inFlightRequests
+ * @private
+ * @type {Object}
+ */
+var inFlightRequests = {};
+
+/**
+ * Serializers created for classes whose `serializer` is a name, keyed by the
+ * class's guid, each with the serializer class it was created from.
+ *
+ * @property serializerInstances
+ * @private
+ * @type {Object}
+ */
+var serializerInstances = {};
+
 /**
  * Provides a suite of functionality around interacting with a resource on the
  * web using AJAX requests.
@@ -18,14 +72,13 @@ module.exports = Ember.Object.extend({
   isRestModelClass: true,
   /**
    * Initialize a new instance of this class. Does so by first setting the
-   * initial properties to the `originalProperties` value and by defining the
-   * `dirtyProperties` property.
+   * initial properties to the `originalProperties` value and by observing
+   * them for changes to the `dirtyProperties`.
    *
    * @method init
    * @private
    */
   init: function() {
-    this.setOriginalProperties();
     /**
      * The value of this instance's primary key. Found by iterating over the
      * class's `primaryKeys` property until this instance has a value for a
@@ -37,22 +90,37 @@ module.exports = Ember.Object.extend({
      */
     this._definePrimaryKey();
 
+    this.setOriginalProperties();
+
     /**
-      * A list of the dirty properties on this instance.
+      * The error messages of this instance, keyed by attribute, e.g.
+      * `{ name: ["can't be blank"] }`. Set by `validate`, and by requests
+      * failing with attribute errors, such as a 422 response to `save`.
       *
-      * @property dirtyProperties
-      * @type {Array}
+      * @property errors
+      * @type {Object}
       */
-    this._defineDirtyProperties();
+    if (!this.get('errors')) {
+      this.set('errors', {});
+    }
   },
 
   /**
    * A declared array of attributes of this class. These are the attributes that
    * are relied upon for the `isDirty` property, as well as other functionality.
-   * Objects are not supported, but flat arrays are.
+   * Nested plain objects and arrays of objects are compared deeply whenever
+   * `dirtyProperties` is read, and observers are notified of changes made with
+   * `Ember.set` to paths they had when the instance was loaded or saved, e.g.
+   * `settings.theme` or `members.@each.role`.
    *
    * For attributes that are arrays, indicate them as `property.[]`.
    *
+   * Typed attributes are declared with an object of attribute names and the
+   * names of transforms in the class's `transforms` registry, e.g.
+   * `['name', { created_at: 'date', size: 'number' }]`. A transform needing
+   * options is declared with an object, e.g.
+   * `{ state: { type: 'enum', values: ['up', 'down'] } }`.
+   *
    * @property attrs
    * @type {Array}
    */
@@ -60,6 +128,21 @@ module.exports = Ember.Object.extend({
     return [];
   }),
 
+  /**
+   * A declared object of validations of this class, keyed by attribute. Each
+   * value is an object of validator names from the class's `validators`
+   * registry and their options, e.g.
+   * `{ name: { presence: true, length: { max: 30 } } }`. Passing `true` uses
+   * the validator's default options, and every validator accepts a custom
+   * `message`.
+   *
+   * @property validations
+   * @type {Object}
+   */
+  validations: computed(function() {
+    return {};
+  }),
+
   /**
    * Whether or not the instance is "in flight", meaning that it has AJAX
    * requests in process.
@@ -69,6 +152,19 @@ module.exports = Ember.Object.extend({
    */
   inFlight: Ember.computed.bool('requestPool'),
 
+  /**
+   * A list of the dirty properties on this instance. Computed each time it is
+   * read, so that changes anywhere within nested objects and arrays are
+   * found, including to keys they did not have and to items of native
+   * arrays.
+   *
+   * @property dirtyProperties
+   * @type {Array}
+   */
+  dirtyProperties: computed(function() {
+    return this.getDirtyProperties();
+  }).volatile(),
+
   /**
    * If the declared properties (`attrs`) of the instance are the same as their
    * original values. The opposite of `isDirty`.
@@ -76,7 +172,9 @@ module.exports = Ember.Object.extend({
    * @property isClean
    * @type {Boolean}
    */
-  isClean: Ember.computed.empty('dirtyProperties'),
+  isClean: computed(function() {
+    return this.get('dirtyProperties').length === 0;
+  }).volatile(),
 
   /**
    * If any of the declared properties (`attrs`) of the instance are different
@@ -85,7 +183,48 @@ module.exports = Ember.Object.extend({
    * @property isDirty
    * @type {Boolean}
    */
-  isDirty: Ember.computed.notEmpty('dirtyProperties'),
+  isDirty: computed(function() {
+    return this.get('dirtyProperties').length > 0;
+  }).volatile(),
+
+  /**
+   * The `ETag` of the last response for this instance, captured by `fetch`,
+   * `save` and `::find`. Sent as `If-Match` when the class uses
+   * `optimisticLocking`.
+   *
+   * @property etag
+   * @type {String}
+   */
+  etag: null,
+
+  /**
+   * Whether or not the last request of this instance failed. The error it
+   * failed with is its `lastError`.
+   *
+   * @property isError
+   * @type {Boolean}
+   */
+  isError: false,
+
+  /**
+   * The error the last request of this instance failed with, or `null` if it
+   * succeeded.
+   *
+   * @property lastError
+   * @type {RequestError}
+   */
+  lastError: null,
+
+  /**
+   * Whether or not the instance has no `errors`. Updated by `validate` and
+   * by failed requests.
+   *
+   * @property isValid
+   * @type {Boolean}
+   */
+  isValid: computed('errors', function() {
+    return Object.keys(this.get('errors') || {}).length === 0;
+  }),
 
   /**
    * Whether or not the record is new (has not been persisted). This property
@@ -104,6 +243,19 @@ module.exports = Ember.Object.extend({
    */
   isPersisted: Ember.computed.not('isNew'),
 
+  /**
+   * The parsed declarations of the `attrs` property, each an object with the
+   * attribute `name`, its observable `key`, whether it `isArray`, and the
+   * `type` and `options` of a typed attribute.
+   *
+   * @property attrDeclarations
+   * @private
+   * @type {Array}
+   */
+  attrDeclarations: computed('attrs', function() {
+    return utils.parseAttrs(this.get('attrs'));
+  }),
+
   /**
    * The names of the declared `attributes` without their observable modifiers
    * (e.g. will return `['tags']`, not `['tags.[]']`).
@@ -112,18 +264,15 @@ module.exports = Ember.Object.extend({
    * @private
    * @type {Array}
    */
-  attrNames: computed('attrs', function() {
-    return this.get('attrs').map(function(attr) {
-      if (/\.\[\]$/.test(attr)) {
-        return attr.split('.')[0];
-      } else {
-        return attr;
-      }
+  attrNames: computed('attrDeclarations', function() {
+    return this.get('attrDeclarations').map(function(declaration) {
+      return declaration.name;
     });
   }),
 
   /**
-   * The parents of this instance.
+   * The parents of this instance. A parent declared as a `belongsTo`
+   * relationship is the instance or primary key it was set to.
    *
    * TODO: This must either be volatile or created in `init` as a computed
    *       property based on the values in `parentKeyNames`.
@@ -136,7 +285,7 @@ module.exports = Ember.Object.extend({
     var parentKeyNames = this.constructor.getParentKeyNames();
 
     return parentKeyNames.reduce(function(parents, key) {
-      parents[key] = this.get(key);
+      parents[key] = relationships.getParentValue(this, key);
       return parents;
     }.bind(this), {});
   }).volatile(),
@@ -157,12 +306,34 @@ module.exports = Ember.Object.extend({
   }),
 
 
+  /**
+   * Get the parents of this instance that the given class is nested under,
+   * e.g. the parents of a record of a related class.
+   *
+   * @method getParentsFor
+   * @private
+   * @param {RestModel} klass the class
+   * @return {Object} the parents of this instance named in the class's `base`
+   */
+  getParentsFor: function(klass) {
+    var parents = this.get('parents');
+
+    return klass.getParentKeyNames().reduce(function(result, key) {
+      if (parents.hasOwnProperty(key)) {
+        result[key] = parents[key];
+      }
+
+      return result;
+    }, {});
+  },
+
   /**
    * Delete this instance.
    *
    * @method delete
    * @async
    * @param {Object} [options] options to pass through to the AJAX request
+   * @param {AbortSignal} [options.signal] a signal cancelling the request
    * @return {Ember.RSVP.Promise} a promise resolved when this instance has been
    *   deleted
    * @example
@@ -177,7 +348,15 @@ module.exports = Ember.Object.extend({
         type: 'DELETE'
       }, options);
 
-      return this.constructor.ajax(options);
+      return this.runHooks('delete', options, function(options) {
+        options.headers = utils.extend(this.getConcurrencyHeaders(options.type),
+                                       options.headers);
+
+        return this.constructor.ajax(options).then(function(response) {
+          this.constructor.evict(this);
+          return response;
+        }.bind(this));
+      }.bind(this));
     }.bind(this));
   },
 
@@ -187,6 +366,7 @@ module.exports = Ember.Object.extend({
    * @method fetch
    * @async
    * @param {Object} [options] options to pass through to the AJAX request
+   * @param {AbortSignal} [options.signal] a signal cancelling the request
    * @return {Ember.RSVP.Promise} a promise resolved with this instance once it
    *   has been fetched
    * @example
@@ -201,11 +381,22 @@ module.exports = Ember.Object.extend({
         type: 'GET'
       }, options);
 
-      return this.constructor.request(options, {}, this).then(function(data) {
-        var properties = this.constructor.getUpdatableProperties(data);
-        this.setProperties(properties);
-        //we assume that these must in fact be the original properties
-        this.setOriginalProperties();
+      var processingOptions = {
+        toResult: function(data) {
+          return this.constructor.load(data, this);
+        }.bind(this)
+      };
+
+      return this.runHooks('fetch', options, function(options) {
+        return this.constructor.ajax(options).then(function(response) {
+          if (options.returnPayload) {
+            this.set('raw', response.data);
+          }
+
+          this.constructor.processResponse(response, processingOptions);
+          return response;
+        }.bind(this));
+      }.bind(this)).then(function() {
         return this;
       }.bind(this));
     }.bind(this));
@@ -216,6 +407,12 @@ module.exports = Ember.Object.extend({
    * `inFlight` to `true` while the given function is in flight. When it is
    * resolved or rejected, set those properties to `false`.
    *
+   * A rejection from the server is turned into an error by the class's
+   * `parseError`, and recorded as `lastError` with `isError` set to `true`
+   * until the next successful request. If the error has messages keyed by
+   * attribute, they are set as this instance's `errors`. A cancelled request
+   * leaves the error state untouched.
+   *
    * TODO: Need to handle the case where the same model performs the same
    *       operation at the same time, multiple times (e.g. #save and #save
    *       simultaneously).
@@ -232,24 +429,213 @@ module.exports = Ember.Object.extend({
     this.set(type, true);
     this.incrementProperty('requestPool');
 
-    return doRequest().finally(function() {
+    return doRequest().then(function(result) {
+      if (this.get('lastError.errors')) {
+        this.set('errors', {});
+      }
+
+      this.setProperties({ isError: false, lastError: null });
+      return result;
+    }.bind(this), function(reason) {
+      if (reason instanceof errors.CancellationError) {
+        throw reason;
+      }
+
+      var error = reason instanceof Error ? reason :
+                                            this.constructor.parseError(reason);
+
+      if (error instanceof errors.ConflictError) {
+        error.record = this;
+      }
+
+      this.setProperties({ isError: true, lastError: error });
+
+      if (error.errors) {
+        this.set('errors', error.errors);
+      }
+
+      throw error;
+    }.bind(this)).finally(function() {
       this.set(type, false);
       this.decrementProperty('requestPool');
     }.bind(this));
   },
 
   /**
-   * Revert this instance's properties back to their original values.
+   * Perform an operation between its lifecycle hooks: the class's and then
+   * this instance's `before` hook, e.g. `::beforeSave` and `#beforeSave`,
+   * each given the request options once the previous one has resolved, and
+   * then the class's and this instance's `after` hook, given the response. A
+   * `before` hook resolving with `false` cancels the operation with a
+   * `CancellationError`, and one resolving with an object replaces the
+   * request options. Any hook may return a promise to be waited for. If the
+   * operation turns out to have nothing to do, resolving with `null` instead
+   * of a response, the `after` hooks are skipped.
+   *
+   * @method runHooks
+   * @private
+   * @param {String} operation the name of the operation, e.g. 'save'
+   * @param {Object} options the request options of the operation
+   * @param {Function} perform a function given the request options and
+   *   returning a promise resolved with the response, or `null`
+   * @return {Ember.RSVP.Promise} a promise resolved with the response once
+   *   the `after` hooks have resolved
+   */
+  runHooks: function(operation, options, perform) {
+    var klass = this.constructor;
+    var name  = capitalize(operation);
+    var hooks = function(type) {
+      return [
+        klass[`${type}${name}`].bind(klass, this),
+        this[`${type}${name}`].bind(this)
+      ];
+    }.bind(this);
+
+    // Hooks returning no promise are run synchronously, so that the request
+    // is still made in the same turn as the operation is called.
+    var then = function(value, fn) {
+      return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+    };
+
+    return new Ember.RSVP.Promise(function(resolve) {
+      resolve(then(hooks('before').reduce(function(options, hook) {
+        return then(options, function(options) {
+          return then(hook(options), function(result) {
+            if (result === false) {
+              throw new errors.CancellationError(`The ${operation} was cancelled.`);
+            }
+
+            return Ember.$.isPlainObject(result) ? result : options;
+          });
+        });
+      }, options), perform));
+    }).then(function(response) {
+      if (response === null) {
+        return response;
+      }
+
+      return hooks('after').reduce(function(promise, hook) {
+        return promise.then(function() {
+          return hook(response);
+        });
+      }, Ember.RSVP.resolve()).then(function() {
+        return response;
+      });
+    });
+  },
+
+  /**
+   * A hook called before this instance is saved, after it has been validated,
+   * with the request options. Its `data` is serialized from this instance
+   * after the hook, unless it sets one. Return (or resolve with) `false` to
+   * cancel the save, or an object to replace the request options. This is
+   * meant to be overridden.
+   *
+   * @method beforeSave
+   * @param {Object} options the request options
+   * @return {Boolean,Object,Ember.RSVP.Promise} `false` to cancel, new
+   *   request options, or a promise of either
+   * @example
+   * ```javascript
+   * var Post = RestModel.extend({
+   *   beforeSave: function(options) {
+   *     this.set('slug', this.get('name').dasherize());
+   *     options.headers = { 'X-Request-Id': uuid() };
+   *   }
+   * });
+   * ```
+   */
+  beforeSave: function() {},
+
+  /**
+   * A hook called once this instance has been saved and updated with the
+   * response, before the save resolves. This is meant to be overridden.
+   *
+   * @method afterSave
+   * @param {Object} response the response `data`, `status` and `headers`
+   * @return {Ember.RSVP.Promise} an optional promise the save waits for
+   */
+  afterSave: function() {},
+
+  /**
+   * A hook called before this instance is deleted, with the request options,
+   * like `#beforeSave`. This is meant to be overridden.
+   *
+   * @method beforeDelete
+   * @param {Object} options the request options
+   * @return {Boolean,Object,Ember.RSVP.Promise} `false` to cancel, new
+   *   request options, or a promise of either
+   */
+  beforeDelete: function() {},
+
+  /**
+   * A hook called once this instance has been deleted, before the deletion
+   * resolves. This is meant to be overridden.
+   *
+   * @method afterDelete
+   * @param {Object} response the response `data`, `status` and `headers`
+   * @return {Ember.RSVP.Promise} an optional promise the deletion waits for
+   */
+  afterDelete: function() {},
+
+  /**
+   * A hook called before this instance is fetched, with the request options,
+   * like `#beforeSave`. This is meant to be overridden.
+   *
+   * @method beforeFetch
+   * @param {Object} options the request options
+   * @return {Boolean,Object,Ember.RSVP.Promise} `false` to cancel, new
+   *   request options, or a promise of either
+   */
+  beforeFetch: function() {},
+
+  /**
+   * A hook called once this instance has been fetched and updated with the
+   * response, before the fetch resolves. This is meant to be overridden.
+   *
+   * @method afterFetch
+   * @param {Object} response the response `data`, `status` and `headers`
+   * @return {Ember.RSVP.Promise} an optional promise the fetch waits for
+   */
+  afterFetch: function() {},
+
+  /**
+   * Get the headers guarding a request of the given type against overwriting
+   * changes made since this instance was fetched. If the class uses
+   * `optimisticLocking`, this is an `If-Match` header with the value of the
+   * class's `versionAttribute`, or the instance's `etag`, for 'PATCH' and
+   * 'DELETE' requests.
+   *
+   * @method getConcurrencyHeaders
+   * @private
+   * @param {String} type the HTTP method of the request
+   * @return {Object} the request headers
+   */
+  getConcurrencyHeaders: function(type) {
+    var versionAttribute = this.constructor.versionAttribute;
+    var version          = this.get(versionAttribute || 'etag');
+
+    if (!this.constructor.optimisticLocking || Ember.isNone(version) ||
+        ['PATCH', 'DELETE'].indexOf(type) === -1) {
+      return {};
+    }
+
+    return { 'If-Match': String(version) };
+  },
+
+  /**
+   * Revert this instance's properties back to their original values. Nested
+   * objects and arrays are restored from deep copies of the originals.
    *
    * @method revert
    */
   revert: function() {
-    var attrs = this.get('attrs');
-
-    this.get('attrNames').forEach(function(key, i) {
-      var value = Ember.copy(this.get(`originalProperties.${key}`));
+    this.get('attrDeclarations').forEach(function(declaration) {
+      var key   = declaration.name;
+      var value = this.copyAttribute(declaration,
+                                     this.get(`originalProperties.${key}`), true);
 
-      if (/\.\[\]$/.test(attrs[i])) {
+      if (declaration.isArray) {
         this.get(key).setObjects(value);
       } else {
         this.set(key, value);
@@ -261,50 +647,173 @@ module.exports = Ember.Object.extend({
    * Save this instance. If the instance is new, do a 'POST' request to the
    * class's base path, otherwise, use 'PATCH' to this instance's path.
    *
+   * The instance is validated first, and if it is invalid, the returned
+   * promise is rejected with a `ValidationError` without making a request.
+   *
+   * With partial updates (see the class's `partialUpdates`), a 'PATCH' only
+   * sends the `dirtyProperties` and the class's `alwaysSend` keys, and saving
+   * a clean persisted instance resolves without making a request. Both are
+   * determined once the `beforeSave` hooks have run.
+   *
    * @method save
    * @async
    * @param {Object} [options] options to pass through to the AJAX request
+   * @param {AbortSignal} [options.signal] a signal cancelling the request
+   * @param {Boolean} [options.validate=true] whether to validate the instance
+   *   before saving it
+   * @param {Boolean} [options.partial] whether to only send dirty properties
+   *   in a 'PATCH', overriding the class's `partialUpdates`
    * @return {Ember.RSVP.Promise} a promise resolved with this instnace once it
    *   has been saved
    * @example
    * ```javascript
    * post.save();
+   * post.save({ validate: false });
+   * post.save({ partial: true });
    * ```
    */
   save: function(options) {
     var type = this.get('isNew') ? 'POST' : 'PATCH';
 
+    options = utils.extend({}, options);
+
+    var saveOptions = utils.extend({
+      validate: true,
+      partial : this.constructor.partialUpdates
+    }, utils.extract(options, ['validate', 'partial']));
+    var partial = saveOptions.partial && type === 'PATCH';
+
+    if (saveOptions.validate && !this.validate()) {
+      return Ember.RSVP.reject(new errors.ValidationError('Validation failed.', {
+        errors: this.get('errors')
+      }));
+    }
+
     return this.request('saving', function() {
       options = utils.extend({
         url : this.get('path'),
-        type: type,
-        data: this.serialize()
+        type: type
       }, options);
 
-      return this.constructor.ajax(options).then(function(response) {
-        return response.data;
-      }.bind(this)).then(function(data) {
-        this.setProperties(data);
-        this.setOriginalProperties();
+      return this.runHooks('save', options, function(options) {
+        // the dirty properties are those left by the `before` hooks
+        if (!options.hasOwnProperty('data')) {
+          if (partial && this.get('isClean')) {
+            return null;
+          }
+
+          options.data = this.serialize(partial ?
+            this.get('dirtyProperties').concat(this.constructor.alwaysSend) : null);
+        }
+
+        options.headers = utils.extend(this.getConcurrencyHeaders(options.type),
+                                       options.headers);
+
+        return this.constructor.ajax(options).then(function(response) {
+          this.set('etag', (response.headers || {}).etag || null);
+          this.setProperties(response.data);
+          this.setOriginalProperties();
+          this.constructor.cacheRecord(this);
+          return response;
+        }.bind(this));
+      }.bind(this)).then(function() {
         return this;
       }.bind(this));
     }.bind(this));
   },
 
   /**
-   * Set an object containing the original values of the instance's properties.
+   * Validate this instance against its declared `validations`, setting its
+   * `errors`.
+   *
+   * @method validate
+   * @return {Boolean} whether or not the instance is valid
+   * @example
+   * ```javascript
+   * if (!post.validate()) {
+   *   post.get('errors.name'); // ["can't be blank"]
+   * }
+   * ```
+   */
+  validate: function() {
+    this.set('errors', this.getValidationErrors());
+    return this.get('isValid');
+  },
+
+  /**
+   * Run the declared `validations` of this instance. Implements the logic
+   * behind `validate`.
+   *
+   * @method getValidationErrors
+   * @private
+   * @return {Object} the error messages keyed by attribute
+   */
+  getValidationErrors: function() {
+    var validations = this.get('validations') || {};
+
+    return Object.keys(validations).reduce(function(errors, key) {
+      var value = this.get(key);
+
+      Object.keys(validations[key]).forEach(function(name) {
+        var options = validations[key][name];
+
+        if (options === false || Ember.isNone(options)) {
+          return;
+        }
+
+        options = options === true ? {} : options;
+
+        var message = this.constructor.getValidator(name)(value, options, this);
+
+        if (message) {
+          errors[key] = errors[key] || [];
+          errors[key].push(options.message || message);
+        }
+      }.bind(this));
+
+      return errors;
+    }.bind(this), {});
+  },
+
+  /**
+   * Copy the value of an attribute, with the `copy` of its transform if it
+   * has one.
+   *
+   * @method copyAttribute
+   * @private
+   * @param {Object} declaration the declaration of the attribute
+   * @param {*} value the value to copy
+   * @param {Boolean} [deep] whether to make a deep copy
+   * @return {*} the copy
+   */
+  copyAttribute: function(declaration, value, deep) {
+    var transform = declaration.type &&
+                    this.constructor.getTransform(declaration.type);
+
+    if (transform && transform.copy) {
+      return transform.copy(value, declaration.options);
+    }
+
+    return Ember.copy(value, deep);
+  },
+
+  /**
+   * Set an object containing the original values of the instance's properties,
+   * and observe the paths within them for changes.
    *
    * @method setOriginalProperties
    * @private
    */
   setOriginalProperties: function() {
-    var attrNames = this.get('attrNames');
+    var declarations = this.get('attrDeclarations');
 
-    this.set('originalProperties', attrNames.reduce(function(properties, key) {
-      var value = this.get(key);
-      properties.set(key, Ember.copy(value, true));
+    this.set('originalProperties', declarations.reduce(function(properties, declaration) {
+      var value = this.get(declaration.name);
+      properties.set(declaration.name, this.copyAttribute(declaration, value, true));
       return properties;
     }.bind(this), Ember.Object.create()));
+
+    this._defineDirtyProperties();
   },
 
   /**
@@ -315,22 +824,21 @@ module.exports = Ember.Object.extend({
    * @private
    */
   getDirtyProperties: function() {
-    var attrNames          = this.get('attrNames');
+    var declarations       = this.get('attrDeclarations');
     var originalProperties = this.get('originalProperties');
 
-    return attrNames.reduce(function(changedProperties, key) {
+    return declarations.reduce(function(changedProperties, declaration) {
+      var key           = declaration.name;
       var value         = this.get(key);
       var originalValue = originalProperties.get(key);
+      var transform     = declaration.type &&
+                          this.constructor.getTransform(declaration.type);
 
-      if (Ember.isArray(value)) {
-        if (!utils.arraysEqual(value, originalValue)) {
-          changedProperties.push(key);
-        }
-      } else if (Ember.$.isPlainObject(value)) {
-        if(!utils.objectsEqual(value, originalValue)) {
+      if (transform && transform.isEqual) {
+        if (!transform.isEqual(value, originalValue, declaration.options)) {
           changedProperties.push(key);
         }
-      } else if (!Ember.isEqual(value, originalValue)) {
+      } else if (!utils.deepEqual(value, originalValue)) {
         changedProperties.push(key);
       }
 
@@ -338,30 +846,98 @@ module.exports = Ember.Object.extend({
     }.bind(this), []);
   },
 
+  /**
+   * Get the changes of this instance's attributes since their original
+   * values, keyed by path. Nested plain objects and arrays of the same length
+   * are compared item by item, so a change deep in an attribute is keyed by
+   * its full path, e.g. `settings.theme` or `members.1.role`.
+   *
+   * @method changedAttributes
+   * @return {Object} an array of the original and current value of each
+   *   changed path
+   * @example
+   * ```javascript
+   * app.set('settings.theme', 'dark');
+   * app.changedAttributes(); // { 'settings.theme': ['light', 'dark'] }
+   * ```
+   */
+  changedAttributes: function() {
+    var originalProperties = this.get('originalProperties');
+
+    return this.get('attrDeclarations').reduce(function(changes, declaration) {
+      var key           = declaration.name;
+      var value         = this.get(key);
+      var originalValue = originalProperties.get(key);
+      var transform     = declaration.type &&
+                          this.constructor.getTransform(declaration.type);
+
+      if (!transform) {
+        return utils.diff(originalValue, value, key, changes);
+      }
+
+      if (transform.isEqual ? !transform.isEqual(value, originalValue, declaration.options) :
+                              !Ember.isEqual(value, originalValue)) {
+        changes[key] = [originalValue, value];
+      }
+
+      return changes;
+    }.bind(this), {});
+  },
+
   /**
    * Serialize this object into JSON for sending in AJAX requests and for
-   * persistent caching.
+   * persistent caching, in the format of the class's `serializer`.
    *
    * @method serialize
    * @private
+   * @param {Array} [keys] the keys to serialize, defaulting to every attribute
    */
-  serialize: function() {
-    return JSON.stringify(this.toObject());
+  serialize: function(keys) {
+    var payload = this.constructor.getSerializer()
+                      .serialize(this.constructor, this.toObject(keys), this);
+
+    return JSON.stringify(payload);
   },
 
   /**
    * Get an object representation of this instance using keys from the `attrs`
-   * property.
+   * property. Typed attributes are serialized with their transform.
    *
    * @method toObject
+   * @param {Array} [keys] the keys to include, defaulting to every attribute.
+   *   Keys that are not attributes are included as they are.
    * @return {Object} the plain object representation of this instance
    */
-  toObject: function() {
-    return this.get('attrNames').reduce(function(properties, key) {
+  toObject: function(keys) {
+    var declarations = this.get('attrDeclarations');
+    var names        = this.get('attrNames');
+
+    if (keys) {
+      declarations = declarations.filter(function(declaration) {
+        return keys.indexOf(declaration.name) !== -1;
+      });
+    }
+
+    var properties = declarations.reduce(function(properties, declaration) {
+      var key   = declaration.name;
       var value = this.get(key);
+
+      if (declaration.type) {
+        value = this.constructor.getTransform(declaration.type)
+                    .serialize(value, declaration.options);
+      }
+
       properties[key] = value;
       return properties;
     }.bind(this), {});
+
+    (keys || []).forEach(function(key) {
+      if (names.indexOf(key) === -1) {
+        properties[key] = this.get(key);
+      }
+    }.bind(this));
+
+    return properties;
   },
 
   /**
@@ -373,8 +949,13 @@ module.exports = Ember.Object.extend({
    * @private
    */
   _definePrimaryKey: function() {
-    var keyNames = this.constructor.primaryKeys;
-    var args = this.constructor.primaryKeys.concat({
+    var keyNames = this.constructor.getPrimaryKeyNames();
+
+    if (this.constructor.isComposite()) {
+      return this._defineCompositePrimaryKey(keyNames);
+    }
+
+    var args = keyNames.concat({
       get: function() {
         var key, value;
         for (var i = 0; i < keyNames.length; i++) {
@@ -396,22 +977,77 @@ module.exports = Ember.Object.extend({
     var primaryKey = Ember.computed.apply(Ember, args);
     Ember.defineProperty(this, 'primaryKey', primaryKey);
   },
+
+  /**
+   * Defines the 'primaryKey' property of an instance of a class with a
+   * `compositeKey`, built from the values of all of its parts. Setting it to
+   * an object sets the parts.
+   *
+   * @method _defineCompositePrimaryKey
+   * @private
+   * @param {Array} keyNames the names of the parts of the key
+   */
+  _defineCompositePrimaryKey: function(keyNames) {
+    var args = keyNames.concat({
+      get: function() {
+        return this.constructor.buildCompositeKey(this.getProperties(keyNames));
+      },
+      set: function(key, value) {
+        if (Ember.$.isPlainObject(value)) {
+          this.setProperties(value);
+        }
+
+        return this.constructor.buildCompositeKey(this.getProperties(keyNames));
+      }
+    });
+
+    Ember.defineProperty(this, 'primaryKey', Ember.computed.apply(Ember, args));
+  },
   /*
-   * Defines the property 'dirtyProperties'. Used during initialization.
+   * Observes the attributes and the paths within their current values, to
+   * notify observers of 'dirtyProperties', 'isDirty' and 'isClean', which are
+   * volatile. Used whenever the original properties are set.
    *
    * @method _defineDirtyProperties
    * @private
    */
   _defineDirtyProperties: function() {
-    var args = this.get('attrs')
-                   .concat('originalProperties', this.getDirtyProperties);
-    var dirtyProperties = Ember.computed.apply(Ember, args);
-    Ember.defineProperty(this, 'dirtyProperties', dirtyProperties);
+    var paths = this.get('attrDeclarations').reduce(function(paths, declaration) {
+      var nested = declaration.type ? [] :
+        utils.observablePaths(declaration.name, this.get(declaration.name));
+
+      return paths.concat(declaration.key, nested.filter(function(path) {
+        return path !== declaration.key;
+      }));
+    }.bind(this), ['originalProperties']);
+
+    (this._dirtyPaths || []).forEach(function(path) {
+      Ember.removeObserver(this, path, this, '_notifyDirtyProperties');
+    }.bind(this));
+
+    paths.forEach(function(path) {
+      Ember.addObserver(this, path, this, '_notifyDirtyProperties');
+    }.bind(this));
+
+    this._dirtyPaths = paths;
+  },
+
+  /*
+   * Notifies observers of the volatile dirty state of an observed change.
+   *
+   * @method _notifyDirtyProperties
+   * @private
+   */
+  _notifyDirtyProperties: function() {
+    this.notifyPropertyChange('dirtyProperties');
+    this.notifyPropertyChange('isDirty');
+    this.notifyPropertyChange('isClean');
   }
 }).reopenClass({
   /**
    * The lowercase string version of the name of this class, used for caching
-   * purposes. This must be overridden.
+   * purposes. This must be overridden. Records of a class without a `typeKey`
+   * are never cached.
    *
    * @property typeKey
    * @static
@@ -432,265 +1068,2202 @@ module.exports = Ember.Object.extend({
   primaryKeys: ['id'],
 
   /**
-   * A namespace under which to nest all AJAX requests for this class. This is
-   * commonly something like 'api'.
+   * A URL template of the path of a record identified by several properties
+   * together, relative to the namespace, e.g.
+   * `'/apps/:app_id/addons/:name'` with a `base` of `'apps/:app_id/addons'`.
+   * Each `:segment` is a part of the key, and a record is new until it has a
+   * value for every part. The record's `primaryKey` is then its interpolated
+   * path, e.g. `'apps/my-app/addons/redis'`. `null` uses the `primaryKeys`
+   * instead.
    *
-   * @property namespace
+   * @property compositeKey
    * @static
    * @type String
    * @default null
    */
-  namespace: null,
+  compositeKey: null,
 
   /**
-   * The base path used to fetch, persist, and destroy records. Must not begin
-   * with or end with a forward slash ('/').
+   * Whether `#save` should only send the `dirtyProperties` of a persisted
+   * record in its 'PATCH' request, rather than every attribute. Can be
+   * overridden per call with the `partial` option of `#save`.
+   *
+   * @property partialUpdates
+   * @static
+   * @type Boolean
+   * @default false
+   */
+  partialUpdates: false,
+
+  /**
+   * Keys always sent in a partial 'PATCH' request, whether or not they are
+   * dirty, e.g. `['updated_at']`.
+   *
+   * @property alwaysSend
+   * @static
+   * @type Array
+   * @default []
+   */
+  alwaysSend: [],
+
+  /**
+   * Whether 'PATCH' and 'DELETE' requests of records should send an
+   * `If-Match` header, so that the server rejects them with 412 Precondition
+   * Failed (and the request with a `ConflictError`) if the record was changed
+   * since it was fetched.
+   *
+   * @property optimisticLocking
+   * @static
+   * @type Boolean
+   * @default false
+   */
+  optimisticLocking: false,
+
+  /**
+   * An attribute holding the version of a record, e.g. 'updated_at', sent as
+   * `If-Match` instead of the `ETag` of the last response.
+   *
+   * @property versionAttribute
+   * @static
+   * @type String
+   * @default null
+   */
+  versionAttribute: null,
+
+  /**
+   * Whether GET requests should be made conditional. The `ETag` and
+   * `Last-Modified` headers of each response are remembered per URL, and sent
+   * back as `If-None-Match` and `If-Modified-Since`. When the server responds
+   * with 304 Not Modified, the remembered body is used. Requires a `typeKey`,
+   * and can be disabled per call with the `conditional` option of `::ajax`.
+   *
+   * @property conditionalRequests
+   * @static
+   * @type Boolean
+   * @default false
+   */
+  conditionalRequests: false,
+
+  /**
+   * The request headers that change the response to a GET, whose values are
+   * part of the key its response is remembered under for conditional
+   * requests, so that e.g. each page of a `Range` paginated list is
+   * remembered on its own.
+   *
+   * @property varyHeaders
+   * @static
+   * @type Array
+   * @default ['Accept', 'Range']
+   */
+  varyHeaders: ['Accept', 'Range'],
+
+  /**
+   * The strategy `::all` uses to follow paginated responses: the name of one
+   * of the `paginationStrategies` (`'range'` or `'link'`), or an object
+   * implementing `nextRequest(response, options)`, which returns the request
+   * options of the next page, or `null` after the last page.
+   *
+   * @property pagination
+   * @static
+   * @type String,Object
+   * @default null
+   */
+  pagination: null,
+
+  /**
+   * The built-in pagination strategies: `range` (`Range`/`Next-Range`
+   * headers), `link` (`Link` headers) and `cursor`, a function building a
+   * strategy which sends a cursor from a response header as a query
+   * parameter.
+   *
+   * @property paginationStrategies
+   * @static
+   * @type Object
+   */
+  paginationStrategies: pagination,
+
+  /**
+   * The maximum number of requests in flight at once for `::saveAll` and
+   * `::deleteAll`.
+   *
+   * @property batchConcurrency
+   * @static
+   * @type Number
+   * @default 4
+   */
+  batchConcurrency: 4,
+
+  /**
+   * The path of an endpoint, relative to the class's base path, saving or
+   * deleting several records in a single request for `::saveAll` and
+   * `::deleteAll`. `''` uses the base path itself, and `null` disables bulk
+   * requests.
+   *
+   * @property bulkPath
+   * @static
+   * @type String
+   * @default null
+   */
+  bulkPath: null,
+
+  /**
+   * Whether or not GET requests identical to one already in flight share its
+   * response instead of making their own request. Each request still resolves
+   * with its own copy of the response data.
+   *
+   * @property dedupeRequests
+   * @static
+   * @type Boolean
+   * @default true
+   */
+  dedupeRequests: true,
+
+  /**
+   * The time in milliseconds after which requests of this class are aborted
+   * and rejected with a `TimeoutError`. `null` waits indefinitely.
+   *
+   * @property timeout
+   * @static
+   * @type Number
+   * @default null
+   */
+  timeout: null,
+
+  /**
+   * The policy for retrying requests failing with a transient error. `null`
+   * disables retrying, otherwise this is an object overriding any of the
+   * defaults: `maxAttempts` (3), `baseDelay` (200ms, doubled after each
+   * attempt), `maxDelay` (5000ms), `jitter` (`true`), the `statuses` to retry
+   * (429, 502 and 503) and the `methods` to retry ('GET' and 'DELETE'). A
+   * `Retry-After` response header is respected.
+   *
+   * @property retryPolicy
+   * @static
+   * @type Object
+   * @default null
+   */
+  retryPolicy: null,
+
+  /**
+   * Non-CRUD endpoints of this class, keyed by the name of the methods
+   * generated for them. Each action may declare its HTTP `method` ('POST'),
+   * whether it is `on` a 'member' (the default) or the 'collection', its
+   * `path` relative to the record or collection path (its name), the `flag`
+   * set on a record while it is in flight ('performing', as `isPerforming`),
+   * and whether to `load` the response into records (`true`). A member action
+   * only loads a body with the record's primary key, and resolves with any
+   * other body, such as a job it started, as it is.
+   *
+   * A member action generates an instance method taking request options, and
+   * a class method taking the parents and primary key of the record as well.
+   * A collection action generates a class method taking the parents and
+   * request options. Actions declared by `reopenClass` are defined
+   * immediately.
+   *
+   * @property actions
+   * @static
+   * @type Object
+   * @default {}
+   * @example
+   * ```javascript
+   * var App = RestModel.extend().reopenClass({
+   *   base   : 'apps',
+   *   actions: {
+   *     restart: { method: 'POST', on: 'member', path: 'actions/restart' },
+   *     search : { method: 'GET', on: 'collection' }
+   *   }
+   * });
+   *
+   * app.restart();                              // POST /apps/1/actions/restart
+   * App.restart(1);                             // POST /apps/1/actions/restart
+   * App.search(null, { query: { q: 'foo' } });  // GET /apps/search?q=foo
+   * ```
+   */
+  actions: {},
+
+  /**
+   * The scheme and host (and optionally a path prefix) that the root-relative
+   * paths of this class are requested from, e.g. 'https://api.heroku.com'.
+   * It may be a function called with the request options and returning the
+   * host, which is resolved each time a request is made. `null` uses the
+   * `host` of `RestModel` itself, which therefore applies to every class not
+   * setting its own, and requests the paths as they are if that is `null`
+   * too.
+   *
+   * @property host
+   * @static
+   * @type String,Function
+   * @default null
+   */
+  host: null,
+
+  /**
+   * The serializer turning response bodies into objects of attributes, and
+   * serialized attributes into request bodies: the name of one of the
+   * `serializers` (`'json'`, `'envelope'` or `'jsonApi'`), created once for
+   * the class with its defaults, or an instance of a serializer.
+   *
+   * @property serializer
+   * @static
+   * @type String,JSONSerializer
+   * @default 'json'
+   * @example
+   * ```javascript
+   * var App = RestModel.extend().reopenClass({
+   *   typeKey   : 'app',
+   *   serializer: 'jsonApi'
+   * });
+   *
+   * var Person = RestModel.extend().reopenClass({
+   *   serializer: RestModel.serializers.envelope.create({
+   *     root      : 'person',
+   *     pluralRoot: 'people'
+   *   })
+   * });
+   * ```
+   */
+  serializer: 'json',
+
+  /**
+   * The built-in serializer classes: `json` (plain JSON objects), `envelope`
+   * (records wrapped under a root key) and `jsonApi` (JSON:API documents).
+   * See `lib/serializers.js`.
+   *
+   * @property serializers
+   * @static
+   * @type Object
+   */
+  serializers: serializers,
+
+  /**
+   * The naming convention of the API's keys, converted to and from the
+   * client-side names of `attrs` by the class's `serializer`: the name of one
+   * of the `keyTransforms` (`'snakeCase'` or `'kebabCase'`), or an object
+   * implementing `serialize(name)` and `deserialize(key)`. It applies to the
+   * keys of objects nested in attributes too, and to the attribute names of
+   * validation errors. `null` leaves keys as they are.
+   *
+   * @property keyTransform
+   * @static
+   * @type String,Object
+   * @default null
+   * @example
+   * ```javascript
+   * var App = RestModel.extend({
+   *   attrs: ['name', 'createdAt']
+   * }).reopenClass({
+   *   keyTransform: 'snakeCase' // { "name": "foo", "created_at": "..." }
+   * });
+   * ```
+   */
+  keyTransform: null,
+
+  /**
+   * The built-in key transforms: `snakeCase` (`created_at`) and `kebabCase`
+   * (`created-at`). See `lib/key-transforms.js`.
+   *
+   * @property keyTransforms
+   * @static
+   * @type Object
+   */
+  keyTransforms: keyTransforms,
+
+  /**
+   * A namespace under which to nest all AJAX requests for this class. This is
+   * commonly something like 'api'.
+   *
+   * @property namespace
+   * @static
+   * @type String
+   * @default null
+   */
+  namespace: null,
+
+  /**
+   * The base path used to fetch, persist, and destroy records. Must not begin
+   * with or end with a forward slash ('/').
    *
    * @property base
    * @static
    * @type String
    * @default ''
    */
-  base: '',
+  base: '',
+
+  /**
+   * The transport adapter used to perform AJAX requests for this class. An
+   * adapter is an object with a `request` method, which receives the resolved
+   * request options (`url`, `type`, `data`, etc.) and returns a promise
+   * resolved with an object of the response `data`, `status` and `headers`.
+   *
+   * @property adapter
+   * @static
+   * @type Object
+   * @default RestModel.adapters.jquery
+   */
+  adapter: jqueryAdapter,
+
+  /**
+   * The built-in transport adapters, `jquery` (using `Ember.$.ajax`) and
+   * `fetch` (using the global `fetch` function).
+   *
+   * @property adapters
+   * @static
+   * @type Object
+   */
+  adapters: {
+    fetch : fetchAdapter,
+    jquery: jqueryAdapter
+  },
+
+  /**
+   * The registry of attribute transforms available to typed `attrs`, keyed by
+   * type name. Built in are `date`, `number`, `boolean` and `enum`.
+   *
+   * @property transforms
+   * @static
+   * @type Object
+   */
+  transforms: transforms,
+
+  /**
+   * The registry of validators available to `validations`, keyed by name.
+   * Built in are `presence`, `format`, `length`, `numericality` and `custom`.
+   *
+   * @property validators
+   * @static
+   * @type Object
+   */
+  validators: validators,
+
+  /**
+   * The error a save is rejected with when the record is invalid.
+   *
+   * @property ValidationError
+   * @static
+   * @type Function
+   */
+  ValidationError: errors.ValidationError,
+
+  /**
+   * The error requests of a record are rejected with when the server responds
+   * with an error.
+   *
+   * @property RequestError
+   * @static
+   * @type Function
+   */
+  RequestError: errors.RequestError,
+
+  /**
+   * The error requests of a record are rejected with when the server responds
+   * with 412 Precondition Failed.
+   *
+   * @property ConflictError
+   * @static
+   * @type Function
+   */
+  ConflictError: errors.ConflictError,
+
+  /**
+   * The error requests are rejected with when they are cancelled through the
+   * `signal` option.
+   *
+   * @property CancellationError
+   * @static
+   * @type Function
+   */
+  CancellationError: errors.CancellationError,
+
+  /**
+   * The error requests are rejected with when they take longer than their
+   * `timeout`.
+   *
+   * @property TimeoutError
+   * @static
+   * @type Function
+   */
+  TimeoutError: errors.TimeoutError,
+
+  /**
+   * Declare a relationship to a parent record, whose name matches a `:parent`
+   * segment of the class's `base`. See `lib/relationships.js`.
+   *
+   * @method belongsTo
+   * @static
+   * @param {RestModel,Function} klass the parent class, or a function
+   *   returning it
+   * @return {Ember.ComputedProperty} the relationship property
+   * @example
+   * ```javascript
+   * var Dyno = RestModel.extend({
+   *   app: RestModel.belongsTo(function() { return App; })
+   * }).reopenClass({
+   *   base: 'apps/:app/dynos'
+   * });
+   *
+   * dyno.get('app').then(function(app) { });
+   * ```
+   */
+  belongsTo: relationships.belongsTo,
+
+  /**
+   * Declare a relationship to the child records nested under a record's path,
+   * loaded lazily with the child class's `::all`. See
+   * `lib/relationships.js`.
+   *
+   * @method hasMany
+   * @static
+   * @param {RestModel,Function} klass the child class, or a function
+   *   returning it
+   * @param {Object} [options] options for the relationship, e.g. `as` and
+   *   `query`
+   * @return {Ember.ComputedProperty} the relationship property
+   * @example
+   * ```javascript
+   * var App = RestModel.extend({
+   *   dynos: RestModel.hasMany(function() { return Dyno; })
+   * });
+   *
+   * app.get('dynos').then(function(dynos) { });
+   * app.get('dynos').reload();
+   * ```
+   */
+  hasMany: relationships.hasMany,
+
+  /**
+   * An in-memory fake backend, usable as the `adapter` of a class in tests.
+   * See `lib/adapters/mock-server.js`.
+   *
+   * @property MockServer
+   * @static
+   * @type MockServer
+   */
+  MockServer: MockServer,
+
+  /**
+   * The query parameter the `sort` option of `::all` and `::find` is sent as.
+   *
+   * @property sortParam
+   * @static
+   * @type String
+   * @default 'sort'
+   */
+  sortParam: 'sort',
+
+  /**
+   * An array of filters that will be called on each array returned by this
+   * class. They are applied after any `query` sent to the server.
+   *
+   * @property filters
+   * @static
+   * @type Array<Function>
+   * @default []
+   */
+  filters: [],
+
+  /**
+   * Perform an AJAX request through this class's `adapter`.
+   *
+   * @method ajax
+   * @async
+   * @static
+   * @param {Object} options options to define the AJAX request
+   * @param {String} options.url the path or URL to make the request to
+   * @param {String} [options.type='GET'] the HTTP method used to make the
+   *   request
+   * @param {String} [options.data] a JSON string of data to send as the
+   *   request body
+   * @param {Boolean} [options.conditional] whether to make a GET request
+   *   conditional, overriding the class's `conditionalRequests`
+   * @param {AbortSignal} [options.signal] a signal cancelling the request,
+   *   rejecting it with a `CancellationError`
+   * @param {Boolean,Object} [options.retry] `false` to never retry the
+   *   request, `true` to retry it whatever its method (e.g. a 'POST'), or an
+   *   object overriding the class's `retryPolicy`
+   * @param {Number} [options.timeout] the time in milliseconds after which
+   *   the request (including any retries) is aborted and rejected with a
+   *   `TimeoutError`, overriding the class's `timeout`
+   * @param {Boolean} [options.dedupe] whether to share an identical GET
+   *   request already in flight, overriding the class's `dedupeRequests`
+   * @param {String,Function} [options.host] the host to request a
+   *   root-relative `url` from, overriding the class's `host`
+   * @return {Ember.RSVP.Promise} a promise resolved with the deserialized
+   *   response `data`, as well as its `status` and `headers`, once the request
+   *   has completed. For a 304 Not Modified response, `data` is a copy of the
+   *   remembered body and `notModified` is `true`.
+   */
+  ajax: function(options) {
+    var ajaxOptions = {
+      type       : 'GET',
+      dataType   : 'json',
+      contentType: this.getSerializer().get('contentType')
+    };
+
+    utils.extend(ajaxOptions, options);
+
+    var extracted   = utils.extract(ajaxOptions, ['conditional', 'retry',
+                                                  'timeout', 'dedupe', 'host']);
+    this.addHostToOptions(ajaxOptions, extracted.host);
+
+    var conditional = utils.extend({
+      conditional: this.conditionalRequests
+    }, extracted).conditional;
+    var policy      = retry.buildPolicy(this.retryPolicy, extracted.retry,
+                                        ajaxOptions.type);
+    var cacheKey    = conditional ? this.getResponseCacheKey(ajaxOptions) : null;
+    var cached      = cacheKey && this.getResponseCache()[cacheKey];
+    var timeout     = extracted.hasOwnProperty('timeout') ? extracted.timeout :
+                                                            this.timeout;
+    var signal      = ajaxOptions.signal;
+    var dedupe      = extracted.hasOwnProperty('dedupe') ? extracted.dedupe :
+                                                           this.dedupeRequests;
+    var inFlightKey = dedupe ? this.getInFlightKey(ajaxOptions, timeout) : null;
+    var controller;
+
+    if (inFlightKey && inFlightRequests[inFlightKey]) {
+      return inFlightRequests[inFlightKey].then(function(response) {
+        return utils.extend(utils.extend({}, response), {
+          data: utils.deepCopy(response.data)
+        });
+      });
+    }
+
+    if (cached) {
+      ajaxOptions.headers = utils.extend(utils.extend({}, cached.requestHeaders),
+                                         ajaxOptions.headers);
+    }
+
+    ajaxOptions.beforeSend = this.buildBeforeSend(ajaxOptions);
+
+    if (timeout) {
+      controller         = utils.createAbortController(signal);
+      ajaxOptions.signal = controller.signal;
+    }
+
+    var request = this.cancellable(this.requestWithRetry(ajaxOptions, policy),
+                                   signal);
+
+    if (timeout) {
+      request = this.timeLimited(request, timeout, controller).finally(function() {
+        controller.detach();
+      });
+    }
+
+    request = request.then(function(response) {
+      var data    = response.data;
+      var headers = response.headers || {};
+
+      if (cached && response.status === 304) {
+        return {
+          data       : utils.deepCopy(cached.data),
+          status     : response.status,
+          headers    : utils.extend(utils.extend({}, cached.headers), headers),
+          notModified: true
+        };
+      }
+
+      data = this.getSerializer().normalizeResponse(this, data);
+
+      if (Ember.isArray(data)) {
+        data = this.deserializeArray(data);
+      } else {
+        data = this.deserialize(data);
+      }
+
+      if (cacheKey) {
+        this.cacheResponse(cacheKey, data, headers);
+      }
+
+      return { data: data, status: response.status, headers: response.headers };
+    }.bind(this));
+
+    if (inFlightKey) {
+      var forget = function() {
+        delete inFlightRequests[inFlightKey];
+      };
+
+      inFlightRequests[inFlightKey] = request;
+      request.then(forget, forget);
+    }
+
+    return request;
+  },
+
+  /**
+   * Fetch all records for this class.
+   *
+   * If the class has a `pagination` strategy, every page is fetched by
+   * default. With the `paginate: 'page'` option, the promise is instead
+   * resolved with the first `Page`, whose `next` method fetches the following
+   * one.
+   *
+   * @method all
+   * @static
+   * @async
+   * @param {Object} [parents] the parents of this resource, with either
+   *   instances or primary keys as values
+   * @param {Object} [options] options to pass on to the AJAX request
+   * @param {AbortSignal} [options.signal] a signal cancelling the request
+   * @param {Object} [options.query] query parameters to add to the URL,
+   *   which may be nested objects or arrays
+   * @param {String,Array} [options.sort] the attribute or attributes to sort
+   *   by, sent as the class's `sortParam`, e.g. `'-created_at'`
+   * @param {String,Boolean} [options.paginate='all'] `'all'` to fetch every
+   *   page, `'page'` to resolve with the first page, or `false` to make a
+   *   single request
+   * @return {Ember.RSVP.Promise} a promise resolved with an array of instances
+   *   of this class, or a `Page` of them
+   * @example
+   * ```javascript
+   * Post.all();
+   *
+   * // With parents
+   * Comment.all({ post: 1 });
+   *
+   * // With query parameters (GET /posts?sort=-created_at&state=published)
+   * Post.all(null, { query: { state: 'published' }, sort: '-created_at' });
+   *
+   * // One page at a time
+   * Post.all(null, { paginate: 'page' }).then(function(page) {
+   *   page.get('records');
+   *   return page.get('hasMore') && page.next();
+   * });
+   * ```
+   */
+  all: function(parents, options) {
+    options = utils.extend({
+      url : this.buildPath(parents),
+      type: 'GET'
+    }, options);
+    this.addQueryToOptions(options);
+
+    var paginate = utils.extend({
+      paginate: 'all'
+    }, utils.extract(options, ['paginate'])).paginate;
+    var processingOptions = { parents: parents };
+
+    if (!this.pagination || !paginate) {
+      return this.request(options, processingOptions);
+    }
+
+    return this.requestPage(options, processingOptions).then(function(page) {
+      return paginate === 'page' ? page : page.all();
+    });
+  },
+
+  /**
+   * Add properties to this class, defining the methods of any `actions` among
+   * them.
+   *
+   * @method reopenClass
+   * @static
+   * @return {RestModel} this class
+   */
+  reopenClass: function() {
+    this._super.apply(this, arguments);
+
+    Array.prototype.forEach.call(arguments, function(properties) {
+      if (properties && properties.actions) {
+        this.defineActions(properties.actions);
+      }
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Define the instance and class methods of the given actions. See
+   * `lib/actions.js`.
+   *
+   * @method defineActions
+   * @static
+   * @private
+   * @param {Object} declarations the actions, keyed by name
+   */
+  defineActions: function(declarations) {
+    var instanceMethods = {};
+    var classMethods    = {};
+
+    Object.keys(declarations).forEach(function(name) {
+      var action = actions.normalize(name, declarations[name]);
+
+      if (action.on === 'member') {
+        instanceMethods[name] = actions.buildInstanceMethod(action);
+      }
+
+      classMethods[name] = actions.buildClassMethod(action);
+    });
+
+    this.reopen(instanceMethods);
+    this.reopenClass(classMethods);
+  },
+
+  /**
+   * Save several records of this class, with at most `concurrency` saves in
+   * flight at once. The returned promise is never rejected: it is resolved
+   * with the outcome of each record's save once all have settled.
+   *
+   * If the class has a `bulkPath`, the records are instead saved with a single
+   * 'POST' of an array of the serialized attributes of the new records, and a
+   * single 'PATCH' of those of the persisted records with their primary keys,
+   * to that path under the class's base path, built with the parents of the
+   * first record. Each response is expected to be an array of the saved
+   * records in the same order. Records failing validation, or cancelled by a
+   * `beforeSave` hook, are left out of the requests, which are made once the
+   * `before` hooks of every record have settled. When a request fails with a 422, each record only gets the
+   * attribute errors of its own entry, if the response's `errors` is an array
+   * with an entry (or `null`) for each record in order. With partial updates, only the `dirtyProperties` and
+   * `alwaysSend` keys of persisted records are sent, and clean ones are not
+   * sent at all. Classes with `optimisticLocking` always save records one at
+   * a time, each with its own `If-Match` header.
+   *
+   * @method saveAll
+   * @static
+   * @async
+   * @param {Array} records the records to save
+   * @param {Object} [options] options to pass on to each `#save`
+   * @param {Number} [options.concurrency] the maximum number of saves in
+   *   flight, overriding the class's `batchConcurrency`
+   * @param {Boolean} [options.bulk] whether to use the class's `bulkPath`,
+   *   which is the default if it has one
+   * @param {Boolean} [options.partial] whether to only send dirty properties
+   *   of persisted records, overriding the class's `partialUpdates`
+   * @return {Ember.RSVP.Promise} a promise resolved with an array of outcomes
+   *   in the order of the records, each with the `record`, and a `state` of
+   *   'fulfilled' and a `value`, or a `state` of 'rejected' and a `reason`
+   * @example
+   * ```javascript
+   * ConfigVar.saveAll(configVars, { concurrency: 2 }).then(function(results) {
+   *   var failed = results.filter(function(result) {
+   *     return result.state === 'rejected';
+   *   });
+   * });
+   * ```
+   */
+  saveAll: function(records, options) {
+    options = utils.extend({}, options);
+
+    var batchOptions = this.extractBatchOptions(options);
+
+    if (batchOptions.bulk && records.length) {
+      return this.bulkSave(records, options);
+    }
+
+    return this.settleRecords(records, batchOptions.concurrency, function(record) {
+      return record.save(options);
+    });
+  },
+
+  /**
+   * Delete several records of this class, with at most `concurrency` deletes
+   * in flight at once. Like `::saveAll`, the returned promise is resolved with
+   * the outcome of each record's delete once all have settled.
+   *
+   * If the class has a `bulkPath`, the records are instead deleted with a
+   * single 'DELETE' to that path, sending an array of their primary keys.
+   * Records cancelled by a `beforeDelete` hook are left out of it.
+   *
+   * @method deleteAll
+   * @static
+   * @async
+   * @param {Array} records the records to delete
+   * @param {Object} [options] options to pass on to each `#delete`
+   * @param {Number} [options.concurrency] the maximum number of deletes in
+   *   flight, overriding the class's `batchConcurrency`
+   * @param {Boolean} [options.bulk] whether to use the class's `bulkPath`,
+   *   which is the default if it has one
+   * @return {Ember.RSVP.Promise} a promise resolved with an array of outcomes,
+   *   as in `::saveAll`
+   */
+  deleteAll: function(records, options) {
+    options = utils.extend({}, options);
+
+    var batchOptions = this.extractBatchOptions(options);
+
+    if (batchOptions.bulk && records.length) {
+      return this.bulkDelete(records, options);
+    }
+
+    return this.settleRecords(records, batchOptions.concurrency, function(record) {
+      return record.delete(options);
+    });
+  },
+
+  /**
+   * Remove the `concurrency` and `bulk` options of `::saveAll` or
+   * `::deleteAll` from the given options, applying the class's defaults.
+   * Bulk requests are never made with `optimisticLocking`.
+   *
+   * @method extractBatchOptions
+   * @static
+   * @private
+   * @param {Object} options the options of the batch
+   * @return {Object} the `concurrency` and `bulk` options
+   */
+  extractBatchOptions: function(options) {
+    var batchOptions = utils.extend({
+      concurrency: this.batchConcurrency,
+      bulk       : !Ember.isNone(this.bulkPath)
+    }, utils.extract(options, ['concurrency', 'bulk']));
+
+    // a single `If-Match` header cannot hold the version of every record
+    batchOptions.bulk = batchOptions.bulk && !this.optimisticLocking;
+    return batchOptions;
+  },
+
+  /**
+   * Call a promise-returning function for each record, with at most
+   * `concurrency` calls in flight, and resolve with their outcomes.
+   *
+   * @method settleRecords
+   * @static
+   * @private
+   * @async
+   * @param {Array} records the records to call the function with
+   * @param {Number} concurrency the maximum number of calls in flight
+   * @param {Function} fn a function receiving a record and returning a promise
+   * @return {Ember.RSVP.Promise} a promise resolved with an array of outcomes,
+   *   as in `::saveAll`
+   */
+  settleRecords: function(records, concurrency, fn) {
+    return batch.settle(records, concurrency, fn).then(function(results) {
+      return results.map(function(result, index) {
+        return utils.extend({ record: records[index] }, result);
+      });
+    });
+  },
+
+  /**
+   * Build the URL of this class's bulk endpoint for the given records, using
+   * the parents of the first record.
+   *
+   * @method buildBulkPath
+   * @static
+   * @private
+   * @param {Array} records the records of the bulk request
+   * @return {String} the URL of the bulk endpoint
+   */
+  buildBulkPath: function(records) {
+    var path = this.buildPath(records[0].get('parents'));
+    return this.bulkPath ? `${path}/${this.bulkPath}` : path;
+  },
+
+  /**
+   * Save records with a single request to this class's bulk endpoint for the
+   * new records, and another for the persisted ones. Each record goes through
+   * its own `#request` bookkeeping and save hooks around the shared requests
+   * (see `::runBulkHooks`), so its `isSaving` and error state are set, and
+   * records a `beforeSave` hook cancels are left out of the requests.
+   *
+   * @method bulkSave
+   * @static
+   * @private
+   * @async
+   * @param {Array} records the records to save
+   * @param {Object} options options to pass on to the AJAX request
+   * @return {Ember.RSVP.Promise} a promise resolved with an array of outcomes,
+   *   as in `::saveAll`
+   */
+  bulkSave: function(records, options) {
+    var saveOptions = utils.extend({
+      validate: true,
+      partial : this.partialUpdates
+    }, utils.extract(options, ['validate', 'partial']));
+    var valid = records.filter(function(record) {
+      return !saveOptions.validate || record.validate();
+    });
+
+    var saves = this.runBulkHooks('save', 'saving', valid, function(record) {
+      return utils.extend({
+        url : this.buildBulkPath(valid),
+        type: record.get('isNew') ? 'POST' : 'PATCH'
+      }, options);
+    }.bind(this), function(records) {
+      var batches  = { POST: [], PATCH: [] };
+      var requests = {};
+
+      // clean records are left out once the `before` hooks have run, as in `#save`
+      records.forEach(function(record) {
+        var type = record.get('isNew') ? 'POST' : 'PATCH';
+
+        if (!(type === 'PATCH' && saveOptions.partial && record.get('isClean'))) {
+          batches[type].push(record);
+        }
+      });
+
+      Object.keys(batches).forEach(function(type) {
+        if (batches[type].length) {
+          requests[type] = this.bulkRequest(type, batches[type],
+                                            saveOptions.partial, options);
+        }
+      }.bind(this));
+
+      return records.map(function(record) {
+        var type  = batches.POST.indexOf(record) === -1 ? 'PATCH' : 'POST';
+        var index = batches[type].indexOf(record);
+
+        if (index === -1) {
+          return null;
+        }
+
+        return requests[type].then(function(response) {
+          var data = Ember.isArray(response.data) ? response.data[index] : null;
+
+          if (data) {
+            record.setProperties(data);
+          }
+
+          // the ETag of a bulk response is not that of any one record
+          record.set('etag', null);
+          record.setOriginalProperties();
+          this.cacheRecord(record);
+          return { data: data, status: response.status, headers: response.headers };
+        }.bind(this), function(error) {
+          throw this.getBulkRecordError(error, index, batches[type].length);
+        }.bind(this));
+      }.bind(this));
+    }.bind(this));
+
+    return this.settleRecords(records, records.length, function(record) {
+      var index = valid.indexOf(record);
+
+      if (index === -1) {
+        return Ember.RSVP.reject(new errors.ValidationError('Validation failed.', {
+          errors: record.get('errors')
+        }));
+      }
+
+      return saves[index];
+    });
+  },
+
+  /**
+   * Perform an operation on records with a shared request, running the
+   * lifecycle hooks of each record (see `#runHooks`) inside its `#request`
+   * bookkeeping. The `before` hooks of every record run first, and the
+   * request is only made once all have settled, for the records none of them
+   * cancelled. Since the request is shared, changes the hooks make to their
+   * copy of the request options are not used. The `after` hooks of each
+   * record are then given its part of the response.
+   *
+   * @method runBulkHooks
+   * @static
+   * @private
+   * @param {String} operation the name of the operation, e.g. 'save'
+   * @param {String} flag the request type of the records, e.g. 'saving'
+   * @param {Array} records the records of the operation
+   * @param {Function} buildOptions a function given a record and returning
+   *   the request options to give its `before` hooks
+   * @param {Function} perform a function given the records left once the
+   *   `before` hooks have run, making the request and returning an array of
+   *   promises, one per record, each resolved with the response of the record,
+   *   or `null` for records with nothing to do
+   * @return {Array} an array of promises, one per record, each resolved with
+   *   the record once its `after` hooks have resolved
+   */
+  runBulkHooks: function(operation, flag, records, buildOptions, perform) {
+    var ready = records.map(function() {
+      return Ember.RSVP.defer();
+    });
+
+    var responses = Ember.RSVP.all(ready.map(function(deferred) {
+      return deferred.promise;
+    })).then(function(included) {
+      var remaining = records.filter(function(record, index) {
+        return included[index];
+      });
+
+      return {
+        records  : remaining,
+        responses: remaining.length ? perform(remaining) : []
+      };
+    });
+
+    return records.map(function(record, index) {
+      return record.request(flag, function() {
+        return record.runHooks(operation, buildOptions(record), function() {
+          ready[index].resolve(true);
+
+          return responses.then(function(result) {
+            return result.responses[result.records.indexOf(record)];
+          });
+        });
+      }).then(function() {
+        return record;
+      }, function(reason) {
+        // a cancelled or failed `before` hook leaves the record out
+        ready[index].resolve(false);
+        throw reason;
+      });
+    });
+  },
+
+  /**
+   * Get the error a record of a failed bulk request is rejected with. The
+   * attribute errors of a 422 response are only those of the record if its
+   * `errors` is an array holding an entry for each record of the request, in
+   * their order, each in a format `::extractAttributeErrors` understands (or
+   * `null`). Otherwise, the error has no attribute errors, rather than those
+   * of other records.
+   *
+   * @method getBulkRecordError
+   * @static
+   * @private
+   * @param {Object} reason the reason the bulk request was rejected with
+   * @param {Number} index the index of the record in the request
+   * @param {Number} count the number of records in the request
+   * @return {RequestError} the error of the record
+   */
+  getBulkRecordError: function(reason, index, count) {
+    var error     = reason instanceof Error ? reason : this.parseError(reason);
+    var source    = error.body && error.body.errors;
+    var perRecord = Ember.isArray(source) && source.length === count &&
+                    source.every(function(entry) {
+                      return Ember.isNone(entry) || Ember.isArray(entry) ||
+                             (typeof entry === 'object' && !entry.field && !entry.attribute);
+                    });
+
+    if (error.status !== 422) {
+      return error;
+    }
+
+    return new error.constructor(error.message, utils.extend(utils.extend({}, error), {
+      errors: perRecord ? this.extractAttributeErrors({ errors: source[index] }) : null
+    }));
+  },
+
+  /**
+   * Make the request of `::bulkSave` for either its new or its persisted
+   * records.
+   *
+   * @method bulkRequest
+   * @static
+   * @private
+   * @async
+   * @param {String} type 'POST' for new records, 'PATCH' for persisted ones
+   * @param {Array} records the records to send
+   * @param {Boolean} partial whether to only send the dirty properties and
+   *   `alwaysSend` keys of persisted records
+   * @param {Object} options options to pass on to the AJAX request
+   * @return {Ember.RSVP.Promise} a promise resolved with the response
+   */
+  bulkRequest: function(type, records, partial, options) {
+    var data = records.map(function(record) {
+      var keys = type === 'PATCH' && partial ?
+        record.get('dirtyProperties').concat(this.alwaysSend) :
+        record.get('attrNames');
+
+      return record.toObject(keys.concat(this.getPrimaryKeyNames()));
+    }.bind(this));
+
+    return this.ajax(utils.extend({
+      url : this.buildBulkPath(records),
+      type: type,
+      data: JSON.stringify(this.getSerializer().serialize(this, data, records))
+    }, options));
+  },
+
+  /**
+   * Delete records with a single request to this class's bulk endpoint, like
+   * `::bulkSave`, running the delete hooks of each record around it.
+   *
+   * @method bulkDelete
+   * @static
+   * @private
+   * @async
+   * @param {Array} records the records to delete
+   * @param {Object} options options to pass on to the AJAX request
+   * @return {Ember.RSVP.Promise} a promise resolved with an array of outcomes,
+   *   as in `::saveAll`
+   */
+  bulkDelete: function(records, options) {
+    var deletes = this.runBulkHooks('delete', 'deleting', records, function() {
+      return utils.extend({
+        url : this.buildBulkPath(records),
+        type: 'DELETE'
+      }, options);
+    }.bind(this), function(records) {
+      var request = this.ajax(utils.extend({
+        url : this.buildBulkPath(records),
+        type: 'DELETE',
+        data: JSON.stringify(records.map(function(record) {
+          return record.getProperties(this.getPrimaryKeyNames());
+        }.bind(this)))
+      }, options));
+
+      return records.map(function(record) {
+        return request.then(function(response) {
+          this.evict(record);
+          return response;
+        }.bind(this));
+      }.bind(this));
+    }.bind(this));
+
+    return this.settleRecords(records, records.length, function(record) {
+      return deletes[records.indexOf(record)];
+    });
+  },
+
+  /**
+   * Add an object of parents to the given path.
+   *
+   * @method addParentsToPath
+   * @static
+   * @private
+   * @param {Object} parents the parents to add to the given path
+   * @param {String} path the path to add the parents to
+   * @return {String} the path with parent primary keys interpolated
+   */
+  addParentsToPath: function(parents, path) {
+    Ember.$.each(parents, function(key, parent) {
+      var parentKey = parent;
+
+      if (typeof parent !== 'string' && typeof parent !== 'number') {
+        parentKey = parent.get('primaryKey');
+      }
+      path = path.replace(`/:${key}`, `/${parentKey}`);
+    });
+
+    return path;
+  },
+
+  /**
+   * Prefix the URL of a request with the host it is made to, if it is a
+   * root-relative path. The host is the given one, or this class's `host`,
+   * or that of `RestModel`, whichever is first set, and is called with the
+   * request options if it is a function.
+   *
+   * @method addHostToOptions
+   * @static
+   * @private
+   * @param {Object} options the request options, modified in place
+   * @param {String,Function} [host] the host given for the request
+   * @return {Object} the request options
+   */
+  addHostToOptions: function(options, host) {
+    host = [host, this.host, module.exports.host].filter(function(value) {
+      return !Ember.isNone(value);
+    })[0];
+
+    if (typeof host === 'function') {
+      host = host.call(this, options);
+    }
+
+    if (!Ember.isNone(host) && typeof options.url === 'string' &&
+        /^\/(?!\/)/.test(options.url)) {
+      options.url = host.replace(/\/+$/, '') + options.url;
+    }
+
+    return options;
+  },
+
+  /**
+   * Move the `query` and `sort` options of a request into the query string of
+   * its URL, so that they are part of any key the response is cached under.
+   * Keys are sorted, nested objects and arrays use bracket notation, e.g.
+   * `filter[state]=up&ids[]=1`.
+   *
+   * @method addQueryToOptions
+   * @static
+   * @private
+   * @param {Object} options the request options, modified in place
+   * @return {Object} the request options
+   */
+  addQueryToOptions: function(options) {
+    var extracted = utils.extract(options, ['query', 'sort']);
+    var query     = utils.extend({}, extracted.query);
+
+    if (!Ember.isNone(extracted.sort)) {
+      query[this.sortParam] = [].concat(extracted.sort).join(',');
+    }
+
+    var queryString = utils.param(query);
+
+    if (queryString) {
+      options.url += (options.url.indexOf('?') === -1 ? '?' : '&') + queryString;
+    }
+
+    return options;
+  },
+
+  /**
+   * Assert that the given object of parent keys is enough for the base path of
+   * this class. Throws an error if there are parent keys missing.
+   *
+   * @method assertHasParentKeys
+   * @static
+   * @private
+   * @param {Object} parents the parents to validate are sufficient for this
+   *   class
+   */
+  assertHasParentKeys: function(parents) {
+    this.getParentKeyNames().forEach(function(key) {
+      var parent     = parents[key];
+      var primaryKey = parent ? this.getPrimaryKey(parent) : null;
+
+      if (Ember.isNone(primaryKey)) {
+        throw new Error(`No primary key found for parent "${key}".`);
+      }
+    }.bind(this));
+  },
+
+  /**
+   * Build a path to this resource, adding parent keys and a primary key (if
+   * supplied).
+   *
+   * @method buildPath
+   * @static
+   * @private
+   * @param {Array} [parents] the parent keys or objects to use in the path
+   * @param {Number,String,Object} [primaryKey] a primary to be appended to the
+   *   path, or an object of the parts of a `compositeKey`, whose interpolated
+   *   template is the path
+   * @return {String} the path including any given primary key
+   */
+  buildPath: function(parents, primaryKey) {
+    var path = '/' + this.base;
+
+    if (!Ember.$.isPlainObject(parents)) {
+      primaryKey = parents;
+      parents    = {};
+    }
+
+    if (Ember.$.isPlainObject(primaryKey)) {
+      primaryKey = this.buildCompositeKey(primaryKey);
+    }
+
+    if (this.isComposite() && !Ember.isNone(primaryKey)) {
+      path = '/' + primaryKey;
+    } else {
+      this.assertHasParentKeys(parents);
+      path = this.addParentsToPath(parents, path);
+
+      if (!Ember.isNone(primaryKey)) {
+        path += '/' + primaryKey;
+      }
+    }
+
+    if (!Ember.isNone(this.namespace)) {
+      path = '/' + this.namespace + path;
+    }
+
+    return path;
+  },
+
+  /**
+   * Build the `beforeSend` function for an AJAX request, combining the one
+   * returned by `getBeforeSend` with any given in the request options. Either
+   * returning `false` cancels the request.
+   *
+   * @method buildBeforeSend
+   * @static
+   * @private
+   * @param {Object} options the resolved options of the AJAX request
+   * @return {Function} a function called with the jqXHR before the request is
+   *   sent, or `undefined` if there is none
+   */
+  buildBeforeSend: function(options) {
+    var classBeforeSend   = this.getBeforeSend(options);
+    var optionsBeforeSend = options.beforeSend;
+
+    if (!classBeforeSend || !optionsBeforeSend) {
+      return classBeforeSend || optionsBeforeSend;
+    }
+
+    return function() {
+      if (classBeforeSend.apply(this, arguments) === false) {
+        return false;
+      }
+
+      return optionsBeforeSend.apply(this, arguments);
+    };
+  },
+
+  /**
+   * Wrap a request's promise so that it is rejected with a
+   * `CancellationError` as soon as the given signal is aborted, ignoring the
+   * outcome of the request.
+   *
+   * @method cancellable
+   * @static
+   * @private
+   * @param {Ember.RSVP.Promise} promise the promise of the request
+   * @param {AbortSignal} [signal] a signal cancelling the request
+   * @return {Ember.RSVP.Promise} the wrapped promise
+   */
+  cancellable: function(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var cancel = function() {
+        reject(new errors.CancellationError('The request was cancelled.'));
+      };
+
+      if (signal.aborted) {
+        cancel();
+        return;
+      }
+
+      signal.addEventListener('abort', cancel);
+
+      promise.then(resolve, reject).finally(function() {
+        signal.removeEventListener('abort', cancel);
+      });
+    });
+  },
+
+  /**
+   * Wrap a request's promise so that it is rejected with a `TimeoutError` if
+   * it is not settled within the given time, aborting the request through the
+   * given controller.
+   *
+   * @method timeLimited
+   * @static
+   * @private
+   * @param {Ember.RSVP.Promise} promise the promise of the request
+   * @param {Number} timeout the time limit in milliseconds
+   * @param {AbortController} controller the controller of the request's signal
+   * @return {Ember.RSVP.Promise} the wrapped promise
+   */
+  timeLimited: function(promise, timeout, controller) {
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var timer = Ember.run.later(function() {
+        reject(new errors.TimeoutError(`The request timed out after ${timeout}ms.`, {
+          timeout: timeout
+        }));
+        controller.abort();
+      }, timeout);
+
+      promise.then(resolve, reject).finally(function() {
+        Ember.run.cancel(timer);
+      });
+    });
+  },
+
+  /**
+   * Perform a request through this class's `adapter`, retrying it according
+   * to the given retry policy while it fails with a retryable status.
+   *
+   * @method requestWithRetry
+   * @static
+   * @private
+   * @async
+   * @param {Object} options the resolved AJAX request options
+   * @param {Object} [policy] the retry policy, from `retry.buildPolicy`
+   * @param {Number} [attempt=1] the number of this attempt
+   * @return {Ember.RSVP.Promise} the promise of the adapter's request
+   */
+  requestWithRetry: function(options, policy, attempt) {
+    attempt = attempt || 1;
+
+    return this.adapter.request(options).then(null, function(reason) {
+      var signal = options.signal;
+
+      if (!policy || (signal && signal.aborted) ||
+          !retry.shouldRetry(policy, reason, attempt)) {
+        throw reason;
+      }
+
+      return new Ember.RSVP.Promise(function(resolve) {
+        Ember.run.later(resolve, retry.getDelay(policy, reason, attempt));
+      }).then(function() {
+        if (signal && signal.aborted) {
+          throw reason;
+        }
+
+        return this.requestWithRetry(options, policy, attempt + 1);
+      }.bind(this));
+    }.bind(this));
+  },
+
+  /**
+   * Add the given record to this class's identity map, replacing any record
+   * already cached under the same primary key and parents. Records without a
+   * primary key are not cached.
+   *
+   * @method cacheRecord
+   * @static
+   * @private
+   * @param {RestModel} record the record to cache
+   * @return {RestModel} the given record
+   */
+  cacheRecord: function(record) {
+    var identityMap = this.getIdentityMap();
+    var identityKey = this.getIdentityKey(record.get('parents'),
+                                          record.get('primaryKey'));
+
+    if (identityMap && !Ember.isNone(identityKey)) {
+      identityMap[identityKey] = record;
+    }
+
+    return record;
+  },
+
+  /**
+   * Remember the validators and deserialized body of a GET response, if it has
+   * an `ETag` or `Last-Modified` header.
+   *
+   * @method cacheResponse
+   * @static
+   * @private
+   * @param {String} cacheKey the key of the request, from `getResponseCacheKey`
+   * @param {Object,Array} data the deserialized response body
+   * @param {Object} headers the response headers
+   */
+  cacheResponse: function(cacheKey, data, headers) {
+    var responseCache  = this.getResponseCache();
+    var requestHeaders = {};
+
+    if (headers.etag) {
+      requestHeaders['If-None-Match'] = headers.etag;
+    }
+
+    if (headers['last-modified']) {
+      requestHeaders['If-Modified-Since'] = headers['last-modified'];
+    }
+
+    if (responseCache && Object.keys(requestHeaders).length) {
+      responseCache[cacheKey] = {
+        data          : utils.deepCopy(data),
+        headers       : headers,
+        requestHeaders: requestHeaders
+      };
+    } else if (responseCache) {
+      delete responseCache[cacheKey];
+    }
+  },
+
+  /**
+   * Remove every cached record of this class, as well as the remembered
+   * responses of its conditional requests.
+   *
+   * @method clearCache
+   * @static
+   * @example
+   * ```javascript
+   * Post.clearCache();
+   * ```
+   */
+  clearCache: function() {
+    if (this.typeKey) {
+      delete identityMaps[this.typeKey];
+      delete responseCaches[this.typeKey];
+    }
+  },
+
+  /**
+   * Deserialize data into a desirable format for updating and creating
+   * instances of this class, once the class's `serializer` has normalized it.
+   * By default, this only applies the transforms of typed `attrs`, so
+   * overrides should call `this._super(data)`.
+   *
+   * @method deserialize
+   * @static
+   * @private
+   * @param {Object} data the data to be deserialized
+   * @return {Object} (optionally) transformed data object
+   */
+  deserialize: function(data) {
+    return this.deserializeAttributes(data);
+  },
+
+  /**
+   * Apply the `deserialize` method of the transform of each typed attribute
+   * present in the given data. Returns a copy of the data if any attribute was
+   * transformed.
+   *
+   * @method deserializeAttributes
+   * @static
+   * @private
+   * @param {Object} data the data to be deserialized
+   * @return {Object} the data with typed attributes transformed
+   */
+  deserializeAttributes: function(data) {
+    if (!Ember.$.isPlainObject(data)) {
+      return data;
+    }
+
+    return this.getAttrDeclarations().reduce(function(result, declaration) {
+      var key = declaration.name;
+
+      if (declaration.type && result.hasOwnProperty(key)) {
+        result = result === data ? utils.extend({}, data) : result;
+        result[key] = this.getTransform(declaration.type)
+                          .deserialize(result[key], declaration.options);
+      }
+
+      return result;
+    }.bind(this), data);
+  },
+
+  /**
+   * Deserialize an array of objects into an array of objects formatted for
+   * updating and creating instances of this class.
+   *
+   * @method deserializeArray
+   * @static
+   * @private
+   * @param {Array} data an array of objects to be deserialized
+   * @return {Array} an array of (optionally) transformed objects
+   */
+  deserializeArray: function(data) {
+    return data.map(this.deserialize.bind(this));
+  },
+
+  /**
+   * Remove a record from this class's identity map.
+   *
+   * @method evict
+   * @static
+   * @param {Object} [parents] the parents of the record, when given its
+   *   primary key
+   * @param {RestModel,Number,String} record the record or primary key to remove
+   * @example
+   * ```javascript
+   * Post.evict(1);
+   * Post.evict(post);
+   * Comment.evict({ post: 1 }, 2);
+   * ```
+   */
+  evict: function(parents, record) {
+    if (arguments.length < 2) {
+      record  = parents;
+      parents = record instanceof this ? record.get('parents') : {};
+    }
+
+    var identityMap = this.getIdentityMap();
+    var identityKey = this.getIdentityKey(parents, this.getPrimaryKey(record));
+
+    if (!identityMap || Ember.isNone(identityKey)) {
+      return;
+    }
+
+    if (!(record instanceof this) || identityMap[identityKey] === record) {
+      delete identityMap[identityKey];
+    }
+  },
+
+  /**
+   * Get the primary key from an object of attributes, using the first of this
+   * class's `primaryKeys` for which the object has a value.
+   *
+   * @method extractPrimaryKey
+   * @static
+   * @private
+   * @param {Object} data the attributes to get the primary key from
+   * @return {String,Number} a primary key
+   */
+  extractPrimaryKey: function(data) {
+    var value;
+
+    if (this.isComposite()) {
+      return this.buildCompositeKey(data);
+    }
+
+    for (var i = 0; i < this.primaryKeys.length; i++) {
+      value = Ember.get(data, this.primaryKeys[i]);
+
+      if (!Ember.isNone(value)) {
+        return value;
+      }
+    }
+  },
+
+  /**
+   * Find a record by primary key.
+   *
+   * @method find
+   * @async
+   * @static
+   * @param {Number,String,Object} primaryKey the primary key used to find a
+   *   record, or an object of the parts of the class's `compositeKey`
+   * @param {Object} [options] options to pass on to the AJAX request
+   * @param {AbortSignal} [options.signal] a signal cancelling the request
+   * @param {Object} [options.query] query parameters to add to the URL
+   * @return {Ember.RSVP.Promise} a promise resolved with an instance of this
+   *   class
+   * ```javascript
+   * Post.find(1);
+   * Addon.find({ app_id: 'my-app', name: 'redis' });
+   * ```
+   */
+  find: function(parents, primaryKey, options) {
+    if (!Ember.$.isPlainObject(parents) ||
+        (this.isComposite() && !Ember.isNone(this.buildCompositeKey(parents)))) {
+      options    = primaryKey;
+      primaryKey = parents;
+      parents    = {};
+    }
+
+    if (this.isComposite() && Ember.$.isPlainObject(primaryKey)) {
+      // the parts of the key include the parents, e.g. an `app_id`
+      parents = utils.extend(utils.extend({}, primaryKey), parents);
+    }
+
+    options = utils.extend({
+      url : this.buildPath(parents, primaryKey),
+      type: 'GET'
+    }, options);
+    this.addQueryToOptions(options);
+
+    var processingOptions = {
+      parents : parents,
+      toResult: this.toRecord.bind(this)
+    };
+
+    return this.request(options, processingOptions);
+  },
+
+  /**
+   * Get the messages keyed by attribute from the body of a failed response.
+   * Understands an `errors` object, e.g. `{ name: ['is taken'] }`, and an
+   * `errors` array of objects with a `field` and `message`. Attribute names
+   * go through the class's `keyTransform`.
+   *
+   * @method extractAttributeErrors
+   * @static
+   * @private
+   * @param {Object} body the parsed response body
+   * @return {Object} the messages keyed by attribute, or `null` if there are
+   *   none
+   */
+  extractAttributeErrors: function(body) {
+    var source       = body && body.errors;
+    var keyTransform = this.getKeyTransform();
+    var result       = {};
+    var name         = function(key) {
+      return keyTransform ? keyTransform.deserialize(key) : key;
+    };
+
+    if (Ember.isArray(source)) {
+      source.forEach(function(error) {
+        var key = error && (error.field || error.attribute);
+
+        if (key) {
+          key = name(key);
+          result[key] = (result[key] || []).concat(error.message || error.detail);
+        }
+      });
+    } else if (source && typeof source === 'object') {
+      Object.keys(source).forEach(function(key) {
+        result[name(key)] = [].concat(source[key]);
+      });
+    }
+
+    return Object.keys(result).length ? result : null;
+  },
+
+  /**
+   * Get the parsed `attrs` declarations of instances of this class.
+   *
+   * @method getAttrDeclarations
+   * @static
+   * @private
+   * @return {Array} the declarations, as in the `attrDeclarations` property
+   */
+  getAttrDeclarations: function() {
+    return utils.parseAttrs(Ember.get(this.proto(), 'attrs'));
+  },
+
+  /**
+   * Get this class's `serializer`. If it is the name of one of the
+   * `serializers`, an instance of it is created once for this class and
+   * reused, until the name or the registered serializer changes.
+   *
+   * @method getSerializer
+   * @static
+   * @private
+   * @return {JSONSerializer} the serializer
+   */
+  getSerializer: function() {
+    var serializer = this.serializer;
+    var guid       = Ember.guidFor(this);
+    var cached     = serializerInstances[guid];
+
+    if (typeof serializer !== 'string') {
+      return serializer;
+    }
+
+    if (!this.serializers[serializer]) {
+      throw new Error(`No serializer named "${serializer}".`);
+    }
+
+    if (!cached || cached.type !== this.serializers[serializer]) {
+      cached = serializerInstances[guid] = {
+        type    : this.serializers[serializer],
+        instance: this.serializers[serializer].create()
+      };
+    }
+
+    return cached.instance;
+  },
+
+  /**
+   * Get this class's `keyTransform`, looking it up by name in the
+   * `keyTransforms` if it is a string.
+   *
+   * @method getKeyTransform
+   * @static
+   * @private
+   * @return {Object} the key transform, or `null` if there is none
+   */
+  getKeyTransform: function() {
+    var keyTransform = this.keyTransform;
+
+    if (typeof keyTransform === 'string') {
+      keyTransform = this.keyTransforms[keyTransform];
+
+      if (!keyTransform) {
+        throw new Error(`No key transform named "${this.keyTransform}".`);
+      }
+    }
+
+    return keyTransform || null;
+  },
+
+  /**
+   * Get this class's `pagination` strategy, looking it up by name in the
+   * `paginationStrategies` if it is a string.
+   *
+   * @method getPaginationStrategy
+   * @static
+   * @private
+   * @return {Object} the strategy
+   */
+  getPaginationStrategy: function() {
+    var strategy = this.pagination;
+
+    if (typeof strategy === 'string') {
+      strategy = this.paginationStrategies[strategy];
+
+      if (!strategy || !strategy.nextRequest) {
+        throw new Error(`No pagination strategy named "${this.pagination}".`);
+      }
+    }
+
+    return strategy;
+  },
+
+  /**
+   * Get the remembered responses of conditional requests of this class, keyed
+   * by `getResponseCacheKey`. Returns `undefined` if the class has no
+   * `typeKey`.
+   *
+   * @method getResponseCache
+   * @static
+   * @private
+   * @return {Object} the remembered responses
+   */
+  getResponseCache: function() {
+    if (!this.typeKey) {
+      return;
+    }
+
+    responseCaches[this.typeKey] = responseCaches[this.typeKey] || {};
+    return responseCaches[this.typeKey];
+  },
+
+  /**
+   * Get the key a GET request's response is remembered under: its URL,
+   * including any data sent as query parameters, and the values of any of the
+   * class's `varyHeaders` it sends. Returns `null` for other request methods.
+   *
+   * @method getResponseCacheKey
+   * @static
+   * @private
+   * @param {Object} options the resolved AJAX request options
+   * @return {String} the key of the request
+   */
+  getResponseCacheKey: function(options) {
+    if (options.type.toUpperCase() !== 'GET' || !this.typeKey) {
+      return null;
+    }
+
+    var data    = options.data;
+    var headers = options.headers || {};
+    var key     = options.url;
+    var vary    = {};
+
+    if (!Ember.isNone(data) && data !== '') {
+      data = typeof data === 'string' ? data : utils.param(data);
+      key += (key.indexOf('?') === -1 ? '?' : '&') + data;
+    }
+
+    // header names are case-insensitive
+    Object.keys(headers).forEach(function(name) {
+      var header = name.toLowerCase();
+
+      this.varyHeaders.forEach(function(varyHeader) {
+        if (varyHeader.toLowerCase() === header) {
+          vary[header] = headers[name];
+        }
+      });
+    }.bind(this));
+
+    return Object.keys(vary).length ? `${key} ${JSON.stringify(vary)}` : key;
+  },
+
+  /**
+   * Get the key under which a request in flight is shared with identical
+   * requests: this class, the method, URL, data, headers and `timeout` of a
+   * GET request. Returns `null` for requests that cannot be shared: those of
+   * other methods, and those with their own `signal` or `beforeSend`.
+   *
+   * @method getInFlightKey
+   * @static
+   * @private
+   * @param {Object} options the AJAX request options, without `beforeSend`
+   * @param {Number} [timeout] the timeout of the request
+   * @return {String} the key of the request
+   */
+  getInFlightKey: function(options, timeout) {
+    if (options.type.toUpperCase() !== 'GET' || options.signal ||
+        options.beforeSend) {
+      return null;
+    }
+
+    return JSON.stringify([
+      Ember.guidFor(this), options.url, options.data, options.headers,
+      options.dataType, timeout
+    ]);
+  },
+
+  /**
+   * Turn the rejection of a failed AJAX request into an error. By default,
+   * this creates a `RequestError` with the response's `status` and a message
+   * from its body, and for 422 responses, the messages keyed by attribute from
+   * the body's `errors`. For 412 responses, it creates a `ConflictError` whose
+   * `current` property is the deserialized body, if there is one. This can be
+   * overridden for custom API error formats.
+   *
+   * @method parseError
+   * @static
+   * @param {Object} response the jqXHR, or error object of the adapter
+   * @return {Error} the error to reject the request with, which may have an
+   *   `errors` object of messages keyed by attribute
+   * @example
+   * ```javascript
+   * App.reopenClass({
+   *   parseError: function(response) {
+   *     var error = this._super(response);
+   *     error.id = response.responseJSON && response.responseJSON.id;
+   *     return error;
+   *   }
+   * });
+   * ```
+   */
+  parseError: function(response) {
+    response = response || {};
+
+    var body = response.responseJSON;
+
+    if (!body && response.responseText) {
+      try {
+        body = JSON.parse(response.responseText);
+      } catch (e) {
+        body = null;
+      }
+    }
+
+    var message = (body && body.message) || response.statusText ||
+                  'Request failed.';
+
+    if (response.status === 412) {
+      return new errors.ConflictError(message, {
+        status  : response.status,
+        response: response,
+        body    : body,
+        current : body ? this.deserialize(this.getSerializer()
+                                                  .normalizeResponse(this, body)) : null
+      });
+    }
+
+    return new errors.RequestError(message, {
+      status  : response.status,
+      response: response,
+      body    : body,
+      errors  : response.status === 422 ? this.extractAttributeErrors(body) :
+                                          null
+    });
+  },
+
+  /**
+   * Get a function to be called with the jqXHR before every AJAX request made
+   * by this class, e.g. to set custom request headers. By default, there is
+   * none. This is meant to be overridden.
+   *
+   * @method getBeforeSend
+   * @static
+   * @param {Object} options the resolved options of the AJAX request, e.g.
+   *   `type` and `url`
+   * @return {Function} a function whose single argument is the jqXHR
+   * @example
+   * ```javascript
+   * App.reopenClass({
+   *   getBeforeSend: function(options) {
+   *     return function(jqXHR) {
+   *       jqXHR.setRequestHeader('Authorization', 'Bearer token');
+   *     };
+   *   }
+   * });
+   * ```
+   */
+  getBeforeSend: function() {},
+
+  /**
+   * A hook called before any instance of this class is saved, ahead of the
+   * instance's own `#beforeSave`, with the same return values. This is meant
+   * to be overridden.
+   *
+   * @method beforeSave
+   * @static
+   * @param {RestModel} record the record being saved
+   * @param {Object} options the request options
+   * @return {Boolean,Object,Ember.RSVP.Promise} `false` to cancel, new
+   *   request options, or a promise of either
+   * @example
+   * ```javascript
+   * App.reopenClass({
+   *   beforeSave: function(record, options) {
+   *     return session.refresh().then(function(token) {
+   *       options.headers = { Authorization: `Bearer ${token}` };
+   *     });
+   *   }
+   * });
+   * ```
+   */
+  beforeSave: function() {},
+
+  /**
+   * A hook called once any instance of this class has been saved, ahead of
+   * the instance's own `#afterSave`. This is meant to be overridden.
+   *
+   * @method afterSave
+   * @static
+   * @param {RestModel} record the saved record
+   * @param {Object} response the response `data`, `status` and `headers`
+   * @return {Ember.RSVP.Promise} an optional promise the save waits for
+   */
+  afterSave: function() {},
+
+  /**
+   * A hook called before any instance of this class is deleted, ahead of the
+   * instance's own `#beforeDelete`. This is meant to be overridden.
+   *
+   * @method beforeDelete
+   * @static
+   * @param {RestModel} record the record being deleted
+   * @param {Object} options the request options
+   * @return {Boolean,Object,Ember.RSVP.Promise} `false` to cancel, new
+   *   request options, or a promise of either
+   */
+  beforeDelete: function() {},
 
   /**
-   * An array of filters that will be called on each array returned by this
-   * class.
+   * A hook called once any instance of this class has been deleted, ahead of
+   * the instance's own `#afterDelete`. This is meant to be overridden.
    *
-   * @property filters
+   * @method afterDelete
    * @static
-   * @type Array<Function>
-   * @default []
+   * @param {RestModel} record the deleted record
+   * @param {Object} response the response `data`, `status` and `headers`
+   * @return {Ember.RSVP.Promise} an optional promise the deletion waits for
    */
-  filters: [],
+  afterDelete: function() {},
 
   /**
-   * Perform an AJAX request.
+   * A hook called before any instance of this class is fetched, ahead of the
+   * instance's own `#beforeFetch`. This is meant to be overridden.
    *
-   * @method ajax
-   * @async
+   * @method beforeFetch
    * @static
-   * @param {Object} options options to define the AJAX request
-   * @param {String} options.url the path or URL to make the request to
-   * @param {String} [options.type='GET'] the HTTP method used to make the
-   *   request
-   * @param {String} [options.data] a JSON string of data to send as the
-   *   request body
-   * @return {Ember.RSVP.Promise} a promise resolved with an instance or array
-   *   of instances of this class, as well as the original response data, once
-   *   the request has completed
-   * ```
+   * @param {RestModel} record the record being fetched
+   * @param {Object} options the request options
+   * @return {Boolean,Object,Ember.RSVP.Promise} `false` to cancel, new
+   *   request options, or a promise of either
    */
-  ajax: function(options) {
-    var ajaxOptions = {
-      type       : 'GET',
-      dataType   : 'json',
-      contentType: 'application/json'
-    };
-
-    utils.extend(ajaxOptions, options);
-
-    return new Ember.RSVP.Promise(function(resolve, reject) {
-      Ember.$.ajax(ajaxOptions).then(function(data, _text, jqXHR) {
-        jqXHR = jqXHR || {};
-        if (Ember.isArray(data)) {
-          data = this.deserializeArray(data);
-        } else {
-          data = this.deserialize(data);
-        }
-
-        resolve({ data: data, status: jqXHR.status });
-      }.bind(this), function(jqXHR) {
-        delete jqXHR.then;
-        reject(jqXHR);
-      });
-    }.bind(this));
-  },
+  beforeFetch: function() {},
 
   /**
-   * Fetch all records for this class.
+   * A hook called once any instance of this class has been fetched, ahead of
+   * the instance's own `#afterFetch`. This is meant to be overridden.
    *
-   * @method all
+   * @method afterFetch
    * @static
-   * @async
-   * @param {Object} [parents] the parents of this resource, with either
-   *   instances or primary keys as values
-   * @param {Object} [options] options to pass on to the AJAX request
-   * @return {Ember.RSVP.Promise} a promise resolved with an array of instances
-   *   of this class
-   * @example
-   * ```javascript
-   * Post.all();
-   *
-   * // With parents
-   * Comment.all({ post: 1 });
-   * ```
+   * @param {RestModel} record the fetched record
+   * @param {Object} response the response `data`, `status` and `headers`
+   * @return {Ember.RSVP.Promise} an optional promise the fetch waits for
    */
-  all: function(parents, options) {
-    options = utils.extend({
-      url : this.buildPath(parents),
-      type: 'GET'
-    }, options);
-
-    var processingOptions = { parents: parents };
-
-    return this.request(options, processingOptions).then(function(results) {
-      return results;
-    });
-  },
+  afterFetch: function() {},
 
   /**
-   * Add an object of parents to the given path.
+   * Get a transform from this class's `transforms` registry. Throws an error if
+   * no transform is registered for the type.
    *
-   * @method addParentsToPath
+   * @method getTransform
    * @static
    * @private
-   * @param {Object} parents the parents to add to the given path
-   * @param {String} path the path to add the parents to
-   * @return {String} the path with parent primary keys interpolated
+   * @param {String} type the name of the transform
+   * @return {Object} the transform
    */
-  addParentsToPath: function(parents, path) {
-    Ember.$.each(parents, function(key, parent) {
-      var parentKey = parent;
+  getTransform: function(type) {
+    var transform = this.transforms[type];
 
-      if (typeof parent !== 'string' && typeof parent !== 'number') {
-        parentKey = parent.get('primaryKey');
-      }
-      path = path.replace(`/:${key}`, `/${parentKey}`);
-    });
+    if (!transform) {
+      throw new Error(`No transform registered for type "${type}".`);
+    }
 
-    return path;
+    return transform;
   },
 
   /**
-   * Assert that the given object of parent keys is enough for the base path of
-   * this class. Throws an error if there are parent keys missing.
+   * Get a validator from this class's `validators` registry. Throws an error
+   * if no validator is registered with the name.
    *
-   * @method assertHasParentKeys
+   * @method getValidator
    * @static
    * @private
-   * @param {Object} parents the parents to validate are sufficient for this
-   *   class
+   * @param {String} name the name of the validator
+   * @return {Function} the validator
    */
-  assertHasParentKeys: function(parents) {
-    this.getParentKeyNames().forEach(function(key) {
-      var parent     = parents[key];
-      var primaryKey = parent ? this.getPrimaryKey(parent) : null;
+  getValidator: function(name) {
+    var validator = this.validators[name];
 
-      if (Ember.isNone(primaryKey)) {
-        throw new Error(`No primary key found for parent "${key}".`);
-      }
-    }.bind(this));
+    if (!validator) {
+      throw new Error(`No validator registered with name "${name}".`);
+    }
+
+    return validator;
   },
 
   /**
-   * Build a path to this resource, adding parent keys and a primary key (if
-   * supplied).
+   * Get the key a record is cached under in the identity map of this class:
+   * its primary key, prefixed with the primary keys of its parents if the
+   * class is nested, so that records with the same primary key under
+   * different parents are distinct. A `compositeKey` already holds the keys
+   * of the parents, and is used as it is.
    *
-   * @method buildPath
+   * @method getIdentityKey
    * @static
    * @private
-   * @param {Array} [parents] the parent keys or objects to use in the path
-   * @param {Number,String} [primaryKey] a primary to be appended to the path
-   * @return {String} the path including any given primary key
+   * @param {Object} parents an object holding the parents of the record
+   * @param {Number,String} primaryKey the primary key of the record
+   * @return {Number,String} the key, or `undefined` without a primary key
    */
-  buildPath: function(parents, primaryKey) {
-    var path = '/' + this.base;
+  getIdentityKey: function(parents, primaryKey) {
+    var parentKeyNames = this.getParentKeyNames();
 
-    if (!Ember.$.isPlainObject(parents)) {
-      primaryKey = parents;
-      parents    = {};
+    if (Ember.isNone(primaryKey) || !parentKeyNames.length || this.isComposite()) {
+      return primaryKey;
     }
 
-    this.assertHasParentKeys(parents);
-    path = this.addParentsToPath(parents, path);
-
-    if (!Ember.isNone(primaryKey)) {
-      path += '/' + primaryKey;
-    }
+    return parentKeyNames.map(function(key) {
+      var parent = parents ? Ember.get(parents, key) : null;
+      return parent instanceof Ember.Object ? parent.get('primaryKey') : parent;
+    }).concat(primaryKey).join('/');
+  },
 
-    if (!Ember.isNone(this.namespace)) {
-      path = '/' + this.namespace + path;
+  /**
+   * Get the identity map of this class, an object of cached records keyed by
+   * primary key and parents. Returns `undefined` if the class has no
+   * `typeKey`.
+   *
+   * @method getIdentityMap
+   * @static
+   * @private
+   * @return {Object} the cached records of this class
+   */
+  getIdentityMap: function() {
+    if (!this.typeKey) {
+      return;
     }
 
-    return path;
+    identityMaps[this.typeKey] = identityMaps[this.typeKey] || {};
+    return identityMaps[this.typeKey];
   },
 
   /**
-   * Deserialize data into a desirable format for updating and creating
-   * instances of this class. By default, this is a no-op.
+   * Get the names of the parent keys for this class.
    *
-   * @method deserialize
+   * @method getParentKeyNames
    * @static
    * @private
-   * @param {Object} data the data to be deserialized
-   * @return {Object} (optionally) transformed data object
+   * @return {Array} the names of the parent keys based on the class's base
    */
-  deserialize: function(data) {
-    return data;
+  getParentKeyNames: function() {
+    var matches = this.base.match(/\/:[^\/]+/g) || [];
+
+    return matches.map(function(segment) {
+      return segment.replace('/:', '');
+    });
   },
 
   /**
-   * Deserialize an array of objects into an array of objects formatted for
-   * updating and creating instances of this class.
+   * Whether or not records of this class are identified by a `compositeKey`.
    *
-   * @method deserializeArray
+   * @method isComposite
    * @static
    * @private
-   * @param {Array} data an array of objects to be deserialized
-   * @return {Array} an array of (optionally) transformed objects
+   * @return {Boolean}
    */
-  deserializeArray: function(data) {
-    return data.map(this.deserialize.bind(this));
+  isComposite: function() {
+    return !Ember.isNone(this.compositeKey);
   },
 
   /**
-   * Find a record by primary key.
+   * Get the names of the properties identifying records of this class: the
+   * parts of its `compositeKey`, or its `primaryKeys`.
    *
-   * @method find
-   * @async
+   * @method getPrimaryKeyNames
    * @static
-   * @param {Number,String} primaryKey the primary key used to find a record
-   * @param {Object} [options] options to pass on to the AJAX request
-   * @return {Ember.RSVP.Promise} a promise resolved with an instance of this
-   *   class
-   * ```javascript
-   * Post.find(1);
-   * ```
+   * @private
+   * @return {Array} the names of the properties
    */
-  find: function(parents, primaryKey, options) {
-    if (!Ember.$.isPlainObject(parents)) {
-      options    = primaryKey;
-      primaryKey = parents;
-      parents    = {};
+  getPrimaryKeyNames: function() {
+    if (!this.isComposite()) {
+      return this.primaryKeys;
     }
 
-    options = utils.extend({
-      url : this.buildPath(parents, primaryKey),
-      type: 'GET'
-    }, options);
-
-    return this.request(options)
-      .then(this.create.bind(this)).then(function(model) {
-        model.setProperties(parents);
-        return model;
-      });
+    return (this.compositeKey.match(/:[^\/]+/g) || []).map(function(segment) {
+      return segment.slice(1);
+    });
   },
 
   /**
-   * Get the names of the parent keys for this class.
+   * Build the primary key of a record of this class with a `compositeKey`
+   * from the values of its parts: the interpolated template, without a
+   * leading slash.
    *
-   * @method getParentKeyNames
+   * @method buildCompositeKey
    * @static
    * @private
-   * @return {Array} the names of the parent keys based on the class's base
+   * @param {Object} values the values of the parts of the key, which may be
+   *   records
+   * @return {String} the primary key, or `undefined` if a part is missing
    */
-  getParentKeyNames: function() {
-    var matches = this.base.match(/\/:[^\/]+/g) || [];
+  buildCompositeKey: function(values) {
+    var template = (this.compositeKey || '').replace(/^\//, '');
+    var missing  = false;
 
-    return matches.map(function(segment) {
-      return segment.replace('/:', '');
+    var key = template.replace(/:([^\/]+)/g, function(segment, name) {
+      var value = values[name];
+
+      if (!Ember.isNone(value) && typeof value === 'object') {
+        value = value.get('primaryKey');
+      }
+
+      if (Ember.isNone(value) || value === '') {
+        missing = true;
+        return '';
+      }
+
+      return encodeURIComponent(value);
     });
+
+    return missing || !this.isComposite() ? undefined : key;
   },
 
   /**
@@ -700,21 +3273,134 @@ module.exports = Ember.Object.extend({
    * @method getPrimaryKey
    * @static
    * @private
-   * @param {RestModel,String,Number} object the object to get the primary key
-   *   from
+   * @param {RestModel,String,Number,Object} object the object to get the
+   *   primary key from, which may be an object of the parts of a
+   *   `compositeKey`
    * @return {String,Number} a primary key
    */
   getPrimaryKey: function(object) {
     if (typeof object === 'number' || typeof object === 'string') {
       return object;
+    } else if (Ember.$.isPlainObject(object)) {
+      return this.buildCompositeKey(object);
     } else {
       return object.get('primaryKey');
     }
   },
 
+  /**
+   * Load an object of attributes into a record of this class. If a record
+   * with the same primary key and parents is cached, it is updated in place
+   * and returned, otherwise a new record is created and cached.
+   *
+   * @method load
+   * @static
+   * @private
+   * @param {Object,RestModel} data the attributes to load
+   * @param {RestModel} [record] a record to update instead of the cached one
+   * @return {RestModel} the updated or created record
+   */
+  load: function(data, record) {
+    data = data || {};
+
+    var properties = data.isRestModelClass ?
+      this.getUpdatableProperties(data) : data;
+
+    record = record || this.peek(data, this.extractPrimaryKey(data));
+
+    if (record) {
+      record.setProperties(properties);
+      // we assume that these must in fact be the original properties
+      record.setOriginalProperties();
+    } else {
+      record = this.create(data);
+    }
+
+    return this.cacheRecord(record);
+  },
+
+  /**
+   * Get a cached record of this class without making a request.
+   *
+   * @method peek
+   * @static
+   * @param {Object} [parents] the parents of the record
+   * @param {Number,String} primaryKey the primary key of the record
+   * @return {RestModel} the cached record, or `undefined` if there is none
+   * @example
+   * ```javascript
+   * Post.peek(1);
+   * Comment.peek({ post: 1 }, 2);
+   * ```
+   */
+  peek: function(parents, primaryKey) {
+    if (arguments.length < 2) {
+      primaryKey = parents;
+      parents    = {};
+    }
+
+    var identityMap = this.getIdentityMap();
+
+    if (Ember.$.isPlainObject(primaryKey)) {
+      primaryKey = this.buildCompositeKey(primaryKey);
+    }
+
+    var identityKey = this.getIdentityKey(parents, primaryKey);
+
+    if (identityMap && !Ember.isNone(identityKey)) {
+      return identityMap[identityKey];
+    }
+  },
+
+  /**
+   * Add a transform to this class's `transforms` registry, making it available
+   * to typed `attrs`. The registry is shared with every class that has not
+   * been given its own.
+   *
+   * @method registerTransform
+   * @static
+   * @param {String} type the name of the transform
+   * @param {Object} transform an object implementing `deserialize` and
+   *   `serialize`, and optionally `isEqual`
+   * @example
+   * ```javascript
+   * RestModel.registerTransform('cents', {
+   *   deserialize: function(value) { return value / 100; },
+   *   serialize  : function(value) { return Math.round(value * 100); }
+   * });
+   * ```
+   */
+  registerTransform: function(type, transform) {
+    this.transforms[type] = transform;
+  },
+
+  /**
+   * Add a validator to this class's `validators` registry, making it available
+   * to `validations`. The registry is shared with every class that has not
+   * been given its own.
+   *
+   * @method registerValidator
+   * @static
+   * @param {String} name the name of the validator
+   * @param {Function} validator a function called with the value, options and
+   *   record, returning an error message if the value is invalid
+   * @example
+   * ```javascript
+   * RestModel.registerValidator('lowercase', function(value) {
+   *   if (value && value !== value.toLowerCase()) {
+   *     return 'must be lowercase';
+   *   }
+   * });
+   * ```
+   */
+  registerValidator: function(name, validator) {
+    this.validators[name] = validator;
+  },
+
   /**
    * Transform results from an API request into an instance or array of
-   * instances of this class.
+   * instances of this class. Records already in the identity map are updated
+   * in place rather than duplicated.
    *
    * Accepts an object of parent properties to ensure that new
    * records always have a reference to their parent records.
@@ -732,19 +3418,44 @@ module.exports = Ember.Object.extend({
 
     if (Ember.isArray(response)) {
       var content = response.map(function(item) {
-        var result = this.create(item);
-        result.setProperties(parents);
-        return result;
+        return this.toRecord(item, parents);
       }.bind(this));
 
       return this.runFilters(content);
     } else {
-      var result = this.create(response);
-      result.setProperties(parents);
-      return result;
+      return this.toRecord(response, parents);
     }
   },
 
+  /**
+   * Transform a single object from an API request into an instance of this
+   * class, going through the identity map. Attributes a cached record has
+   * unsaved changes to keep them, and become the original values those
+   * changes are compared against.
+   *
+   * @method toRecord
+   * @static
+   * @private
+   * @param {Object} response an object of attributes
+   * @param {Object} [parents={}] an object of parent properties to set on the
+   *   instance
+   * @return {RestModel} an instance of this class
+   */
+  toRecord: function(response, parents) {
+    parents = parents || {};
+
+    // parts of a composite key may only be given as parents, e.g. by `::find`
+    var data   = utils.extend(utils.extend({}, parents), response);
+    var cached = this.peek(parents, this.extractPrimaryKey(data));
+    var edits  = cached ? cached.getProperties(cached.get('dirtyProperties')) : {};
+    var result = this.load(response, cached || this.create(parents));
+
+    // unsaved changes survive, and stay dirty against the loaded values
+    result.setProperties(edits);
+    result.setProperties(parents);
+    return result;
+  },
+
   replace: function(idx, amt, objects) {
     var filters = this.filters;
 
@@ -797,9 +3508,65 @@ module.exports = Ember.Object.extend({
       if (options.returnPayload) {
         updateModel.set(`raw`, response.data);
       }
-      var parents = processingOptions.parents;
-      return processingOptions.toResult(response.data, parents);
-    });
+
+      return this.processResponse(response, processingOptions);
+    }.bind(this));
+  },
+
+  /**
+   * Turn the response of an AJAX request into an instance or array of
+   * instances, using the `toResult` and `parents` of the given processing
+   * options.
+   *
+   * @method processResponse
+   * @static
+   * @private
+   * @param {Object} response the response resolved by `::ajax`
+   * @param {Object} processingOptions options that control how the
+   *   deserialized response is processed, as in `::request`
+   * @return {Array,RestModel} an instance or array of instances
+   */
+  processResponse: function(response, processingOptions) {
+    var parents = processingOptions.parents;
+    var result  = processingOptions.toResult(response.data, parents);
+
+    if (result instanceof this) {
+      result.set('etag', (response.headers || {}).etag || null);
+    }
+
+    return result;
+  },
+
+  /**
+   * Request a page of records using this class's `pagination` strategy.
+   *
+   * @method requestPage
+   * @async
+   * @static
+   * @private
+   * @param {Object} options options to pass on to the AJAX request
+   * @param {Object} [processingOptions] options that control how the
+   *   deserialized response is processed, as in `::request`
+   * @return {Ember.RSVP.Promise} a promise resolved with a `Page`
+   */
+  requestPage: function(options, processingOptions) {
+    var strategy = this.getPaginationStrategy();
+
+    processingOptions = utils.extend({
+      toResult: this.toResult.bind(this)
+    }, processingOptions);
+
+    return this.ajax(options).then(function(response) {
+      response.headers = response.headers || {};
+
+      return Page.create({
+        records    : this.processResponse(response, processingOptions),
+        nextOptions: strategy.nextRequest(response, options),
+        loadPage   : function(nextOptions) {
+          return this.requestPage(nextOptions, processingOptions);
+        }.bind(this)
+      });
+    }.bind(this));
   },
 
   /**
@@ -815,7 +3582,8 @@ module.exports = Ember.Object.extend({
    */
   getUpdatableProperties: function(model) {
     var keys = Object.keys(model).filter(function(key) {
-      return ['primaryKey', 'originalProperties', 'dirtyProperties'].indexOf(key) === -1;
+      return ['primaryKey', 'originalProperties', 'dirtyProperties',
+              '_dirtyPaths'].indexOf(key) === -1;
     });
 
     return model.getProperties(keys);
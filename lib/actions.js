@@ -0,0 +1,161 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * Builders of the methods generated for the `actions` declared on a class.
+ * An action is a non-CRUD endpoint under a record's path (`on: 'member'`) or
+ * under the class's collection path (`on: 'collection'`).
+ *
+ * @class Actions
+ * @static
+ */
+
+/**
+ * Apply the defaults to an action declaration.
+ *
+ * @method normalize
+ * @param {String} name the name of the action
+ * @param {Object} action the declaration of the action
+ * @return {Object} the declaration with its `method`, `on`, `path`, `flag`
+ *   and `load`
+ */
+exports.normalize = function(name, action) {
+  action = utils.extend({
+    method: 'POST',
+    on    : 'member',
+    path  : name,
+    flag  : 'performing',
+    load  : true
+  }, action);
+
+  if (['member', 'collection'].indexOf(action.on) === -1) {
+    throw new Error(`Action "${name}" must be on "member" or "collection".`);
+  }
+
+  return action;
+};
+
+/**
+ * Build the request options of an action, given the path it is under.
+ *
+ * @method buildOptions
+ * @private
+ * @param {RestModel} klass the class of the action
+ * @param {Object} action the normalized declaration of the action
+ * @param {String} path the path of the record or collection
+ * @param {Object} [options] options to pass on to the AJAX request, whose
+ *   `data` is sent as JSON unless the action is a 'GET', and whose `query`
+ *   is added to the URL
+ * @return {Object} the request options
+ */
+function buildOptions(klass, action, path, options) {
+  options = utils.extend({
+    url : action.path ? `${path}/${action.path}` : path,
+    type: action.method
+  }, options);
+  klass.addQueryToOptions(options);
+
+  if (Ember.$.isPlainObject(options.data) && options.type.toUpperCase() !== 'GET') {
+    options.data = JSON.stringify(options.data);
+  }
+
+  return options;
+}
+
+/**
+ * Whether a response body of a member action is the record itself, rather
+ * than another resource such as a job the action started: an object with the
+ * record's primary key.
+ *
+ * @method isRecordBody
+ * @private
+ * @param {RestModel} klass the class of the record
+ * @param {Any} data the response data
+ * @param {Number,String,Object} primaryKey the primary key of the record
+ * @return {Boolean}
+ */
+function isRecordBody(klass, data, primaryKey) {
+  var bodyKey = Ember.$.isPlainObject(data) ? klass.extractPrimaryKey(data) : null;
+
+  return !Ember.isNone(bodyKey) && !Ember.isNone(primaryKey) &&
+         String(bodyKey) === String(klass.getPrimaryKey(primaryKey));
+}
+
+/**
+ * Build the instance method of a member action. It makes the request from the
+ * record's `path` within the record's `#request` bookkeeping, setting its
+ * `is<Flag>` and `inFlight` properties, and loads a response body with the
+ * record's primary key into the record.
+ *
+ * @method buildInstanceMethod
+ * @param {Object} action the normalized declaration of the action
+ * @return {Function} a method taking request options, returning a promise
+ *   resolved with the record, or with the response data if the action does
+ *   not `load` it or it is an object of another resource
+ */
+exports.buildInstanceMethod = function(action) {
+  return function(options) {
+    return this.request(action.flag, function() {
+      var processingOptions = {
+        toResult: function(data) {
+          if (!action.load) {
+            return data;
+          } else if (!Ember.$.isPlainObject(data)) {
+            return this;
+          }
+
+          return isRecordBody(this.constructor, data, this.get('primaryKey')) ?
+            this.constructor.load(data, this) : data;
+        }.bind(this)
+      };
+
+      return this.constructor.request(buildOptions(this.constructor, action, this.get('path'),
+                                                   options),
+                                      processingOptions, this);
+    }.bind(this));
+  };
+};
+
+/**
+ * Build the class method of an action. A member action takes the parents and
+ * primary key of the record, like `::find`, and a collection action takes the
+ * parents, like `::all`. Response bodies are turned into records, except the
+ * bodies of member actions without the record's primary key.
+ *
+ * @method buildClassMethod
+ * @param {Object} action the normalized declaration of the action
+ * @return {Function} a method returning a promise resolved with a record or
+ *   array of records, or with the response data if the action does not `load`
+ *   it
+ */
+exports.buildClassMethod = function(action) {
+  return function(parents, primaryKey, options) {
+    if (action.on === 'collection') {
+      options    = primaryKey;
+      primaryKey = null;
+      parents    = parents || {};
+    } else if (!Ember.$.isPlainObject(parents) ||
+               (this.isComposite() && !Ember.isNone(this.buildCompositeKey(parents)))) {
+      options    = primaryKey;
+      primaryKey = parents;
+      parents    = {};
+    }
+
+    var processingOptions = {
+      parents : parents,
+      toResult: function(data, parents) {
+        if (!action.load || !(Ember.isArray(data) || Ember.$.isPlainObject(data)) ||
+            (action.on === 'member' && !isRecordBody(this, data, primaryKey))) {
+          return data;
+        }
+
+        return this.toResult(data, parents);
+      }.bind(this)
+    };
+
+    var path = this.buildPath(parents, primaryKey);
+
+    return this.request(buildOptions(this, action, path, options), processingOptions);
+  };
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+var utils = require('../utils');
+
+/**
+ * A transport adapter making requests with the global `fetch` function.
+ * Failed requests are rejected with an object shaped like a jqXHR, with
+ * `status`, `statusText`, `responseText`, `responseJSON` and `headers`.
+ *
+ * @class FetchAdapter
+ * @static
+ */
+module.exports = {
+  /**
+   * Perform a request with `fetch`. A `beforeSend` option is called with an
+   * object implementing `setRequestHeader`, and returning `false` from it
+   * cancels the request.
+   *
+   * @method request
+   * @async
+   * @param {Object} options jQuery-style AJAX options, e.g. `url`, `type`,
+   *   `data`, `contentType`, `headers` and `signal`
+   * @return {Ember.RSVP.Promise} a promise resolved with the response `data`,
+   *   `status` and `headers`
+   */
+  request: function(options) {
+    var method  = (options.type || 'GET').toUpperCase();
+    var url     = options.url;
+    var body    = options.data;
+    var headers = utils.extend({ Accept: 'application/json' }, options.headers);
+
+    if (options.contentType) {
+      headers['Content-Type'] = options.contentType;
+    }
+
+    if (method === 'GET' || method === 'HEAD') {
+      if (!Ember.isNone(body)) {
+        body = typeof body === 'string' ? body : utils.param(body);
+        url += (url.indexOf('?') === -1 ? '?' : '&') + body;
+      }
+
+      body = undefined;
+    }
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var xhr = {
+        setRequestHeader: function(name, value) {
+          headers[name] = value;
+        }
+      };
+
+      if (options.beforeSend && options.beforeSend(xhr, options) === false) {
+        reject({ status: 0, statusText: 'canceled' });
+        return;
+      }
+
+      global.fetch(url, {
+        method     : method,
+        headers    : headers,
+        body       : body,
+        credentials: options.credentials || 'same-origin',
+        signal     : options.signal
+      }).then(function(response) {
+        return response.text().then(function(text) {
+          var result = {
+            status : response.status,
+            headers: toHeaderObject(response.headers),
+            data   : parseJSON(text)
+          };
+
+          if (response.ok || response.status === 304) {
+            resolve(result);
+          } else {
+            reject({
+              status      : result.status,
+              statusText  : response.statusText,
+              responseText: text,
+              responseJSON: result.data,
+              headers     : result.headers
+            });
+          }
+        });
+      }).then(null, function(error) {
+        reject({ status: 0, statusText: error.message });
+      });
+    });
+  }
+};
+
+function parseJSON(text) {
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function toHeaderObject(responseHeaders) {
+  var headers = {};
+
+  if (responseHeaders && responseHeaders.forEach) {
+    responseHeaders.forEach(function(value, name) {
+      headers[name.toLowerCase()] = value;
+    });
+  }
+
+  return headers;
+}
@@ -0,0 +1,48 @@
+'use strict';
+
+var utils = require('../utils');
+
+/**
+ * A transport adapter making requests with `Ember.$.ajax`. This is the default
+ * adapter of RestModel.
+ *
+ * @class JQueryAdapter
+ * @static
+ */
+module.exports = {
+  /**
+   * Perform a request with `Ember.$.ajax`.
+   *
+   * @method request
+   * @async
+   * @param {Object} options jQuery AJAX options, e.g. `url`, `type` and `data`,
+   *   and an optional `signal` aborting the jqXHR
+   * @return {Ember.RSVP.Promise} a promise resolved with the response `data`,
+   *   `status` and `headers`, or rejected with the jqXHR
+   */
+  request: function(options) {
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var request = Ember.$.ajax(options);
+
+      if (options.signal && request.abort) {
+        options.signal.addEventListener('abort', function() {
+          request.abort();
+        });
+      }
+
+      request.then(function(data, _text, jqXHR) {
+        jqXHR = jqXHR || {};
+
+        resolve({
+          data   : data,
+          status : jqXHR.status,
+          headers: utils.parseHeaders(jqXHR.getAllResponseHeaders &&
+                                      jqXHR.getAllResponseHeaders())
+        });
+      }, function(jqXHR) {
+        delete jqXHR.then;
+        reject(jqXHR);
+      });
+    });
+  }
+};
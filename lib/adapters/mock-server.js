@@ -0,0 +1,278 @@
+'use strict';
+
+var utils = require('../utils');
+
+/**
+ * An in-memory fake backend for testing RestModel classes without a network.
+ * It is a transport adapter, so it can be assigned as the `adapter` of any
+ * class. Records are stored per collection path, as built by the class's
+ * `::buildPath`, so nested `/:parent` segments are supported.
+ *
+ * @class MockServer
+ * @extends Ember.Object
+ * @constructor
+ * @example
+ * ```javascript
+ * var server = RestModel.MockServer.create();
+ * server.seed(Post, [{ id: 1, name: 'foo' }]);
+ * server.seed(Comment, { post: 1 }, [{ id: 2, body: 'bar' }]);
+ *
+ * Post.reopenClass({ adapter: server });
+ * Comment.reopenClass({ adapter: server });
+ * ```
+ */
+module.exports = Ember.Object.extend({
+  /**
+   * Initialize the server's collections, registered classes and request log.
+   *
+   * @method init
+   * @private
+   */
+  init: function() {
+    this._super.apply(this, arguments);
+    this.reset();
+  },
+
+  /**
+   * Register a class so that its paths can be routed. Classes are registered
+   * automatically when seeded.
+   *
+   * @method register
+   * @param {RestModel} klass the class to register
+   * @return {MockServer} this server
+   */
+  register: function(klass) {
+    if (this.get('classes').indexOf(klass) === -1) {
+      this.get('classes').push(klass);
+    }
+
+    return this;
+  },
+
+  /**
+   * Add records to the collection of the given class.
+   *
+   * @method seed
+   * @param {RestModel} klass the class of the records
+   * @param {Object} [parents] the parents of the records, as passed to `::all`
+   * @param {Array} records an array of objects to store
+   * @return {MockServer} this server
+   */
+  seed: function(klass, parents, records) {
+    if (Ember.isArray(parents)) {
+      records = parents;
+      parents = {};
+    }
+
+    var collection = this.getCollection(klass.buildPath(parents));
+
+    this.register(klass);
+    records.forEach(function(record) {
+      collection.push(this.store(klass, record));
+    }.bind(this));
+
+    return this;
+  },
+
+  /**
+   * Get copies of the records stored in the collection of the given class.
+   *
+   * @method records
+   * @param {RestModel} klass the class of the records
+   * @param {Object} [parents] the parents of the records, as passed to `::all`
+   * @return {Array} an array of stored objects
+   */
+  records: function(klass, parents) {
+    return copy(this.getCollection(klass.buildPath(parents || {})));
+  },
+
+  /**
+   * Remove all stored records and logged requests. Registered classes are
+   * kept.
+   *
+   * @method reset
+   */
+  reset: function() {
+    this.setProperties({
+      classes    : this.get('classes') || [],
+      collections: {},
+      requests   : [],
+      nextId     : 1
+    });
+  },
+
+  /**
+   * Perform a request against the stored records, answering `GET`, `POST`,
+   * `PATCH`, `PUT` and `DELETE` on collection and member paths.
+   *
+   * @method request
+   * @async
+   * @param {Object} options the resolved request options
+   * @return {Ember.RSVP.Promise} a promise resolved with the response `data`,
+   *   `status` and `headers`, or rejected with an object shaped like a jqXHR
+   */
+  request: function(options) {
+    var method = (options.type || 'GET').toUpperCase();
+    var path   = options.url.replace(/^[a-z]+:\/\/[^\/]+/i, '').split('?')[0];
+    var data   = typeof options.data === 'string' ? JSON.parse(options.data) :
+                                                    options.data;
+    var route  = this.route(path);
+    var record;
+
+    this.get('requests').push({ method: method, url: options.url, data: data });
+
+    if (!route) {
+      return reject(404, `No route matches ${method} ${path}.`);
+    }
+
+    var collection = this.getCollection(route.collectionPath);
+    var index      = Ember.isNone(route.key) ? -1 :
+                       findIndex(route.klass, collection, route.key);
+
+    if (!Ember.isNone(route.key) && index === -1) {
+      return reject(404, `No record found at ${path}.`);
+    }
+
+    switch (`${method} ${Ember.isNone(route.key) ? 'collection' : 'member'}`) {
+      case 'GET collection':
+        return resolve(200, collection);
+      case 'POST collection':
+        record = this.store(route.klass, data || {});
+        collection.push(record);
+        return resolve(201, record);
+      case 'GET member':
+        return resolve(200, collection[index]);
+      case 'PATCH member':
+      case 'PUT member':
+        collection[index] = utils.extend(utils.extend({}, collection[index]),
+                                         copy(data));
+        return resolve(200, collection[index]);
+      case 'DELETE member':
+        collection.splice(index, 1);
+        return resolve(204, null);
+      default:
+        return reject(405, `Method ${method} is not allowed on ${path}.`);
+    }
+  },
+
+  /**
+   * Get the stored collection for a path, creating it if necessary.
+   *
+   * @method getCollection
+   * @private
+   * @param {String} path a collection path
+   * @return {Array} the stored records
+   */
+  getCollection: function(path) {
+    var collections = this.get('collections');
+    collections[path] = collections[path] || [];
+    return collections[path];
+  },
+
+  /**
+   * Find the registered class, collection path and primary key for a path.
+   * Collection paths are matched before member paths.
+   *
+   * @method route
+   * @private
+   * @param {String} path the request path, without host or query string
+   * @return {Object} the `klass`, `collectionPath` and `key` of the route, or
+   *   `undefined` if no registered class matches the path
+   */
+  route: function(path) {
+    var classes = this.get('classes');
+    var klass, match, i;
+
+    for (i = 0; i < classes.length; i++) {
+      if (new RegExp(`^${routeSource(classes[i])}$`).test(path)) {
+        return { klass: classes[i], collectionPath: path };
+      }
+    }
+
+    for (i = 0; i < classes.length; i++) {
+      klass = classes[i];
+      match = path.match(new RegExp(`^${routeSource(klass)}/([^/]+)$`));
+
+      if (match) {
+        return {
+          klass         : klass,
+          collectionPath: path.slice(0, path.lastIndexOf('/')),
+          key           : decodeURIComponent(match[1])
+        };
+      }
+    }
+  },
+
+  /**
+   * Copy a record for storage, giving it a primary key if it has none.
+   *
+   * @method store
+   * @private
+   * @param {RestModel} klass the class of the record
+   * @param {Object} record the record to store
+   * @return {Object} the stored record
+   */
+  store: function(klass, record) {
+    var keyName = klass.primaryKeys[0];
+
+    record = copy(record);
+
+    if (keyName && Ember.isNone(record[keyName])) {
+      record[keyName] = this.incrementProperty('nextId') - 1;
+    } else if (typeof record[keyName] === 'number' &&
+               record[keyName] >= this.get('nextId')) {
+      this.set('nextId', record[keyName] + 1);
+    }
+
+    return record;
+  }
+});
+
+function copy(value) {
+  return Ember.isNone(value) ? value : JSON.parse(JSON.stringify(value));
+}
+
+function findIndex(klass, collection, key) {
+  for (var i = 0; i < collection.length; i++) {
+    for (var j = 0; j < klass.primaryKeys.length; j++) {
+      var value = collection[i][klass.primaryKeys[j]];
+
+      if (!Ember.isNone(value) && String(value) === key) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+function reject(status, message) {
+  var responseJSON = { message: message };
+
+  return Ember.RSVP.reject({
+    status      : status,
+    statusText  : message,
+    responseJSON: responseJSON,
+    responseText: JSON.stringify(responseJSON),
+    headers     : {}
+  });
+}
+
+function resolve(status, data) {
+  return Ember.RSVP.resolve({
+    data   : copy(data),
+    status : status,
+    headers: { 'content-type': 'application/json' }
+  });
+}
+
+function routeSource(klass) {
+  var path = '/' + klass.base;
+
+  if (!Ember.isNone(klass.namespace)) {
+    path = '/' + klass.namespace + path;
+  }
+
+  return path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+             .replace(/\/:[^\/]+/g, '/[^/]+');
+}
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Call a promise-returning function for each item, with at most `concurrency`
+ * calls in flight at once, and resolve with the settled outcome of each call
+ * once all have settled. The returned promise is never rejected.
+ *
+ * @method settle
+ * @async
+ * @param {Array} items the items to call the function with
+ * @param {Number} concurrency the maximum number of calls in flight
+ * @param {Function} fn a function receiving an item and returning a promise
+ * @return {Ember.RSVP.Promise} a promise resolved with an array of outcomes in
+ *   the order of the items, each with a `state` of 'fulfilled' and a `value`,
+ *   or a `state` of 'rejected' and a `reason`
+ */
+exports.settle = function(items, concurrency, fn) {
+  var results = new Array(items.length);
+  var next    = 0;
+
+  concurrency = Math.max(1, concurrency || items.length);
+
+  function work() {
+    var index = next++;
+
+    if (index >= items.length) {
+      return Ember.RSVP.resolve();
+    }
+
+    var promise;
+
+    try {
+      promise = Ember.RSVP.resolve(fn(items[index]));
+    } catch (error) {
+      promise = Ember.RSVP.reject(error);
+    }
+
+    return promise.then(function(value) {
+      results[index] = { state: 'fulfilled', value: value };
+    }, function(reason) {
+      results[index] = { state: 'rejected', reason: reason };
+    }).then(work);
+  }
+
+  var workers = [];
+
+  for (var i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(work());
+  }
+
+  return Ember.RSVP.all(workers).then(function() {
+    return results;
+  });
+};
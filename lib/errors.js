@@ -0,0 +1,101 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * Define a new error type inheriting from `Error`. Instances are created with
+ * a message and an optional object of properties to set on the error.
+ *
+ * @method defineError
+ * @private
+ * @param {String} name the name of the error type
+ * @param {Function} [Parent=Error] the error type to inherit from
+ * @return {Function} the error constructor
+ */
+function defineError(name, Parent) {
+  function CustomError(message, properties) {
+    this.name    = name;
+    this.message = message;
+    utils.extend(this, properties);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, CustomError);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+
+  CustomError.prototype = Object.create((Parent || Error).prototype);
+  CustomError.prototype.constructor = CustomError;
+
+  return CustomError;
+}
+
+/**
+ * The error a save is rejected with when the record fails client-side
+ * validation. Its `errors` property holds the messages keyed by attribute.
+ *
+ * @class ValidationError
+ * @extends Error
+ */
+exports.ValidationError = defineError('ValidationError');
+
+/**
+ * The error a request of a record is rejected with when the server responds
+ * with an error. Its `status` and `response` (the jqXHR or adapter error) are
+ * those of the failed request, and its `errors` property holds any messages
+ * keyed by attribute.
+ *
+ * @class RequestError
+ * @extends Error
+ */
+exports.RequestError = defineError('RequestError');
+
+/**
+ * The error a request of a record is rejected with when the server responds
+ * with 412 Precondition Failed, because the record was changed since it was
+ * last fetched. Its `current` property holds the server's current
+ * representation from the response body, if there is one.
+ *
+ * @class ConflictError
+ * @extends RequestError
+ */
+exports.ConflictError = defineError('ConflictError', exports.RequestError);
+
+/**
+ * Fetch the server's current representation of the conflicting record,
+ * without updating the record.
+ *
+ * @method fetchCurrent
+ * @async
+ * @return {Ember.RSVP.Promise} a promise resolved with the deserialized
+ *   response data
+ */
+exports.ConflictError.prototype.fetchCurrent = function() {
+  var record = this.record;
+
+  return record.constructor.ajax({
+    url : record.get('path'),
+    type: 'GET'
+  }).then(function(response) {
+    return response.data;
+  });
+};
+
+/**
+ * The error a request is rejected with when it is cancelled through the
+ * `signal` given in its options.
+ *
+ * @class CancellationError
+ * @extends Error
+ */
+exports.CancellationError = defineError('CancellationError');
+
+/**
+ * The error a request is rejected with when it takes longer than its
+ * `timeout`. Its `timeout` property holds the exceeded time in milliseconds.
+ *
+ * @class TimeoutError
+ * @extends RequestError
+ */
+exports.TimeoutError = defineError('TimeoutError', exports.RequestError);
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * The built-in key transforms, converting between the camelCase names used by
+ * `attrs` and the naming convention of an API. A key transform implements
+ * `serialize`, turning a client-side name into a key sent to the API, and
+ * `deserialize`, turning a key received from the API back into a client-side
+ * name.
+ *
+ * @class KeyTransforms
+ * @static
+ */
+
+/**
+ * Send `createdAt` as `created_at`.
+ *
+ * @property snakeCase
+ * @type Object
+ */
+exports.snakeCase = {
+  serialize: function(key) {
+    return Ember.String.underscore(key);
+  },
+
+  deserialize: function(key) {
+    return Ember.String.camelize(key);
+  }
+};
+
+/**
+ * Send `createdAt` as `created-at`.
+ *
+ * @property kebabCase
+ * @type Object
+ */
+exports.kebabCase = {
+  serialize: function(key) {
+    return Ember.String.dasherize(key);
+  },
+
+  deserialize: function(key) {
+    return Ember.String.camelize(key);
+  }
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * A page of records resolved by `::all` with the `paginate: 'page'` option.
+ *
+ * @class Page
+ * @extends Ember.Object
+ */
+module.exports = Ember.Object.extend({
+  /**
+   * The records of this page.
+   *
+   * @property records
+   * @type {Array}
+   */
+  records: null,
+
+  /**
+   * The request options for the next page, or `null` if this is the last page.
+   *
+   * @property nextOptions
+   * @private
+   * @type {Object}
+   */
+  nextOptions: null,
+
+  /**
+   * A function fetching a page, given its request options.
+   *
+   * @property loadPage
+   * @private
+   * @type {Function}
+   */
+  loadPage: null,
+
+  /**
+   * Whether or not there is a page after this one.
+   *
+   * @property hasMore
+   * @type {Boolean}
+   */
+  hasMore: Ember.computed.bool('nextOptions'),
+
+  /**
+   * Fetch the next page.
+   *
+   * @method next
+   * @async
+   * @return {Ember.RSVP.Promise} a promise resolved with the next page, or
+   *   `null` if this is the last page
+   */
+  next: function() {
+    if (!this.get('hasMore')) {
+      return Ember.RSVP.resolve(null);
+    }
+
+    return this.loadPage(this.get('nextOptions'));
+  },
+
+  /**
+   * Fetch every remaining page.
+   *
+   * @method all
+   * @async
+   * @return {Ember.RSVP.Promise} a promise resolved with the records of this
+   *   page and every page after it
+   */
+  all: function() {
+    var records = this.get('records');
+
+    return this.next().then(function(page) {
+      if (!page) {
+        return records;
+      }
+
+      return page.all().then(function(rest) {
+        return records.concat(rest);
+      });
+    });
+  }
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * The built-in pagination strategies used by `::all`. A strategy implements
+ * `nextRequest`, which receives the response of a page (its `data`, `status`
+ * and `headers`) and the request options used to fetch it, and returns the
+ * request options for the next page, or `null` if it was the last page.
+ *
+ * @class Pagination
+ * @static
+ */
+
+/**
+ * Paginate with `Range` request and `Next-Range` response headers, as done by
+ * the Heroku Platform API. The first page's `Range` can be given in the
+ * `headers` option of `::all`.
+ *
+ * @property range
+ * @type Object
+ */
+exports.range = {
+  nextRequest: function(response, options) {
+    var nextRange = response.headers['next-range'];
+
+    if (!nextRange) {
+      return null;
+    }
+
+    return utils.extend(utils.extend({}, options), {
+      headers: utils.extend(utils.extend({}, options.headers), { Range: nextRange })
+    });
+  }
+};
+
+/**
+ * Paginate by following the `next` URL of `Link` response headers.
+ *
+ * @property link
+ * @type Object
+ */
+exports.link = {
+  nextRequest: function(response, options) {
+    var url = utils.parseLinkHeader(response.headers.link).next;
+
+    if (!url) {
+      return null;
+    }
+
+    var nextOptions = utils.extend({}, options);
+    nextOptions.url = url;
+    delete nextOptions.data;
+
+    return nextOptions;
+  }
+};
+
+/**
+ * Build a strategy paginating with a cursor read from a response header and
+ * sent back as a query parameter.
+ *
+ * @method cursor
+ * @param {Object} [config]
+ * @param {String} [config.header='Next-Cursor'] the response header holding
+ *   the cursor of the next page
+ * @param {String} [config.param='cursor'] the query parameter to send the
+ *   cursor as
+ * @return {Object} the strategy
+ */
+exports.cursor = function(config) {
+  config = utils.extend({ header: 'Next-Cursor', param: 'cursor' }, config);
+
+  return {
+    nextRequest: function(response, options) {
+      var cursor = response.headers[config.header.toLowerCase()];
+
+      if (!cursor) {
+        return null;
+      }
+
+      var data = Ember.$.isPlainObject(options.data) ? options.data : {};
+      var nextOptions = utils.extend({}, options);
+
+      nextOptions.data = utils.extend({}, data);
+      nextOptions.data[config.param] = cursor;
+
+      return nextOptions;
+    }
+  };
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * A proxy for the records of a `hasMany` relationship, which are loaded when
+ * the relationship is first read. It can be iterated and observed like an
+ * array once loaded, and used as a promise of the records in the meantime.
+ *
+ * @class PromiseArray
+ * @extends Ember.ArrayProxy
+ * @uses Ember.PromiseProxyMixin
+ */
+var PromiseArray = exports.PromiseArray =
+  Ember.ArrayProxy.extend(Ember.PromiseProxyMixin, {
+    /**
+     * A function returning a promise of the records of the relationship.
+     *
+     * @property loadRecords
+     * @private
+     * @type {Function}
+     */
+    loadRecords: null,
+
+    /**
+     * Load the records of the relationship again.
+     *
+     * @method reload
+     * @async
+     * @return {Ember.RSVP.Promise} a promise resolved with the records once
+     *   they have been loaded
+     */
+    reload: function() {
+      var promise = this.loadRecords().then(function(records) {
+        return Ember.A(records);
+      });
+
+      this.set('promise', promise);
+
+      return promise;
+    }
+  });
+
+/**
+ * A proxy for the record of a `belongsTo` relationship, which is fetched when
+ * the relationship is first read unless it is already an instance.
+ *
+ * @class PromiseObject
+ * @extends Ember.ObjectProxy
+ * @uses Ember.PromiseProxyMixin
+ */
+var PromiseObject = exports.PromiseObject =
+  Ember.ObjectProxy.extend(Ember.PromiseProxyMixin);
+
+/**
+ * Get the raw values of the `belongsTo` relationships of a record: the
+ * instances or primary keys they were set to.
+ *
+ * @method getBelongsToValues
+ * @private
+ * @param {RestModel} record the record
+ * @return {Object} the values keyed by relationship name
+ */
+function getBelongsToValues(record) {
+  if (!record.hasOwnProperty('__belongsToValues')) {
+    record.__belongsToValues = {};
+  }
+
+  return record.__belongsToValues;
+}
+
+/**
+ * Declare a relationship to a parent record. Its property holds the parent's
+ * instance or primary key, and is used as the parent when building the
+ * record's path, so its name must match a `:parent` segment of the class's
+ * `base`. Reading it returns a `PromiseObject` of the parent, fetched with the
+ * parent class's `::find` if it was set to a primary key. Setting it never
+ * makes a request, which is why the property is volatile: once fetched, the
+ * parent instance replaces the primary key.
+ *
+ * @method belongsTo
+ * @param {RestModel,Function} klass the parent class, or a function returning
+ *   it
+ * @return {Ember.ComputedProperty} the relationship property
+ */
+exports.belongsTo = function(klass) {
+  return Ember.computed({
+    get: function(key) {
+      var value = getBelongsToValues(this)[key];
+      var parentClass, promise;
+
+      if (Ember.isNone(value)) {
+        return null;
+      }
+
+      parentClass = utils.resolveClass(klass);
+
+      if (value instanceof parentClass) {
+        return PromiseObject.create({
+          content: value,
+          promise: Ember.RSVP.resolve(value)
+        });
+      }
+
+      promise = parentClass.find(this.getParentsFor(parentClass), value)
+        .then(function(parent) {
+          getBelongsToValues(this)[key] = parent;
+          return parent;
+        }.bind(this));
+
+      return PromiseObject.create({ promise: promise });
+    },
+
+    set: function(key, value) {
+      getBelongsToValues(this)[key] = value;
+      return value;
+    }
+  }).volatile().meta({ relationship: 'belongsTo' });
+};
+
+/**
+ * Declare a relationship to the child records nested under a record's path.
+ * Reading it returns a `PromiseArray` of the children, loaded once with the
+ * child class's `::all`, given the record and its own parents. New records
+ * have no children.
+ *
+ * @method hasMany
+ * @param {RestModel,Function} klass the child class, or a function returning
+ *   it
+ * @param {Object} [options] options for the relationship
+ * @param {String} [options.as] the name of the child class's parent key for
+ *   this record, defaulting to the last `:parent` segment of its `base`
+ * @param {Object} [options.query] query parameters for loading the children
+ * @return {Ember.ComputedProperty} the relationship property
+ */
+exports.hasMany = function(klass, options) {
+  options = options || {};
+
+  return Ember.computed('primaryKey', function() {
+    var record = this;
+
+    var proxy = PromiseArray.create({
+      loadRecords: function() {
+        var childClass = utils.resolveClass(klass);
+        var parents, name;
+
+        if (record.get('isNew')) {
+          return Ember.RSVP.resolve([]);
+        }
+
+        name    = options.as || childClass.getParentKeyNames().slice(-1)[0];
+        parents = record.getParentsFor(childClass);
+        parents[name] = record;
+
+        return childClass.all(parents, options.query ? { query: options.query } : {});
+      }
+    });
+
+    proxy.reload();
+
+    return proxy;
+  }).meta({ relationship: 'hasMany' });
+};
+
+/**
+ * Get the raw value of a record's property to use as a parent in its path: the
+ * instance or primary key of a `belongsTo` relationship, or the property's
+ * value otherwise.
+ *
+ * @method getParentValue
+ * @param {RestModel} record the record
+ * @param {String} key the name of the property
+ * @return {RestModel,String,Number} the parent
+ */
+exports.getParentValue = function(record, key) {
+  var meta = propertyMeta(record.constructor, key);
+
+  if (meta && meta.relationship === 'belongsTo') {
+    return getBelongsToValues(record)[key];
+  }
+
+  return record.get(key);
+};
+
+/**
+ * Get the meta of a computed property of a class, if it has one.
+ *
+ * @method propertyMeta
+ * @private
+ * @param {RestModel} klass the class
+ * @param {String} key the name of the property
+ * @return {Object} the meta of the property, or `undefined`
+ */
+function propertyMeta(klass, key) {
+  var meta;
+
+  klass.eachComputedProperty(function(name, propertyMeta) {
+    if (name === key) {
+      meta = propertyMeta;
+    }
+  });
+
+  return meta;
+}
@@ -0,0 +1,116 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * The default retry policy, merged with a class's `retryPolicy`.
+ *
+ * @property defaults
+ * @type Object
+ */
+exports.defaults = {
+  maxAttempts: 3,
+  baseDelay  : 200,
+  maxDelay   : 5000,
+  jitter     : true,
+  statuses   : [429, 502, 503],
+  methods    : ['GET', 'DELETE']
+};
+
+/**
+ * Build the retry policy for a request, or `null` if it should not be
+ * retried. A `retry` option of `false` disables retrying, `true` enables it
+ * regardless of the request method, and an object is merged into the policy.
+ *
+ * @method buildPolicy
+ * @param {Object} classPolicy the `retryPolicy` of the class, if any
+ * @param {Boolean,Object} [retry] the `retry` option of the request
+ * @param {String} method the HTTP method of the request
+ * @return {Object} the policy, or `null`
+ */
+exports.buildPolicy = function(classPolicy, retry, method) {
+  if (retry === false || (!classPolicy && !retry)) {
+    return null;
+  }
+
+  var policy = utils.extend(utils.extend({}, exports.defaults), classPolicy);
+
+  if (typeof retry === 'object') {
+    utils.extend(policy, retry);
+  }
+
+  if (retry !== true && policy.methods.indexOf(method.toUpperCase()) === -1) {
+    return null;
+  }
+
+  return policy;
+};
+
+/**
+ * Whether or not a failed attempt should be retried.
+ *
+ * @method shouldRetry
+ * @param {Object} policy the retry policy
+ * @param {Object} reason the rejection of the attempt
+ * @param {Number} attempt the number of the attempt, starting at 1
+ * @return {Boolean}
+ */
+exports.shouldRetry = function(policy, reason, attempt) {
+  return attempt < policy.maxAttempts && !!reason &&
+         policy.statuses.indexOf(reason.status) !== -1;
+};
+
+/**
+ * Get the delay in milliseconds before the next attempt. A `Retry-After`
+ * response header is respected, otherwise the delay grows exponentially from
+ * the `baseDelay`, up to the `maxDelay`, with "full jitter" if `jitter` is
+ * `true`.
+ *
+ * @method getDelay
+ * @param {Object} policy the retry policy
+ * @param {Object} reason the rejection of the attempt
+ * @param {Number} attempt the number of the attempt, starting at 1
+ * @return {Number} the delay in milliseconds
+ */
+exports.getDelay = function(policy, reason, attempt) {
+  var retryAfter = exports.getRetryAfter(reason);
+
+  if (!Ember.isNone(retryAfter)) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+
+  var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return policy.jitter ? Math.round(Math.random() * delay) : delay;
+};
+
+/**
+ * Get the `Retry-After` header of a failed response in milliseconds, from
+ * either a number of seconds or an HTTP date.
+ *
+ * @method getRetryAfter
+ * @param {Object} reason the jqXHR, or error object of the adapter
+ * @return {Number} the delay in milliseconds, or `undefined` if there is none
+ */
+exports.getRetryAfter = function(reason) {
+  var value;
+
+  if (reason && reason.getResponseHeader) {
+    value = reason.getResponseHeader('Retry-After');
+  } else if (reason && reason.headers) {
+    value = reason.headers['retry-after'];
+  }
+
+  if (Ember.isNone(value) || value === '') {
+    return;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  var date = Date.parse(value);
+
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+};
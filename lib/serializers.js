@@ -0,0 +1,386 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * The built-in serializers, which turn response bodies into plain objects of
+ * attributes before they are deserialized by a class's `::deserialize`, and
+ * objects of serialized attributes into request bodies. Every method receives
+ * the RestModel class the payload belongs to, whose `keyTransform` is applied
+ * to the keys of records and of any objects nested in them.
+ *
+ * @class Serializers
+ * @static
+ */
+
+/**
+ * A serializer for APIs sending and receiving records as plain JSON objects,
+ * and arrays of them. Attribute names can be transformed by overriding
+ * `keyForAttribute` and `attributeForKey` when creating it, and other formats
+ * can be supported by extending it.
+ *
+ * @class JSONSerializer
+ * @extends Ember.Object
+ * @constructor
+ * @example
+ * ```javascript
+ * RestModel.serializers.json.create({
+ *   keyForAttribute: Ember.String.underscore,
+ *   attributeForKey: Ember.String.camelize
+ * });
+ * ```
+ */
+var JSONSerializer = exports.json = Ember.Object.extend({
+  /**
+   * The content type of request bodies.
+   *
+   * @property contentType
+   * @type String
+   * @default 'application/json'
+   */
+  contentType: 'application/json',
+
+  /**
+   * Get the name an attribute is sent under.
+   *
+   * @method keyForAttribute
+   * @param {String} name the name of the attribute
+   * @return {String} the key in the payload
+   */
+  keyForAttribute: function(name) {
+    return name;
+  },
+
+  /**
+   * Get the name of the attribute received under a key.
+   *
+   * @method attributeForKey
+   * @param {String} key the key in the payload
+   * @return {String} the name of the attribute
+   */
+  attributeForKey: function(key) {
+    return key;
+  },
+
+  /**
+   * Turn a response body into an object of attributes, or an array of them.
+   * Anything that is neither a record nor an array of records is returned as
+   * it is.
+   *
+   * @method normalizeResponse
+   * @param {RestModel} klass the class of the records
+   * @param {Object,Array} payload the parsed response body
+   * @return {Object,Array} an object or array of objects of attributes
+   */
+  normalizeResponse: function(klass, payload) {
+    var data = this.extract(klass, payload);
+
+    if (Ember.isArray(data)) {
+      return data.map(function(item) {
+        return Ember.$.isPlainObject(item) ? this.normalize(klass, item) : item;
+      }.bind(this));
+    }
+
+    return Ember.$.isPlainObject(data) ? this.normalize(klass, data) : data;
+  },
+
+  /**
+   * Get the record or array of records in a response body.
+   *
+   * @method extract
+   * @param {RestModel} klass the class of the records
+   * @param {Object,Array} payload the parsed response body
+   * @return {Object,Array} the record or records
+   */
+  extract: function(klass, payload) {
+    return payload;
+  },
+
+  /**
+   * Turn a single record of a response body into an object of attributes.
+   *
+   * @method normalize
+   * @param {RestModel} klass the class of the record
+   * @param {Object} hash the record in the payload
+   * @return {Object} an object of attributes
+   */
+  normalize: function(klass, hash) {
+    var keyTransform = klass.getKeyTransform();
+
+    return transformKeys(hash, function(key) {
+      return this.getAttributeName(klass, key);
+    }.bind(this), keyTransform && keyTransform.deserialize);
+  },
+
+  /**
+   * Turn an object of serialized attributes, or an array of them, into a
+   * request body.
+   *
+   * @method serialize
+   * @param {RestModel} klass the class of the records
+   * @param {Object,Array} properties an object of serialized attributes, as
+   *   returned by `#toObject`, or an array of them
+   * @param {RestModel,Array} [records] the record or records the attributes
+   *   are from
+   * @return {Object,Array} the request body, yet to be stringified
+   */
+  serialize: function(klass, properties, records) {
+    var data;
+
+    if (Ember.isArray(properties)) {
+      data = properties.map(function(item, index) {
+        return this.serializeRecord(klass, item, records && records[index]);
+      }.bind(this));
+    } else {
+      data = this.serializeRecord(klass, properties, records);
+    }
+
+    return this.wrap(klass, data);
+  },
+
+  /**
+   * Turn a single object of serialized attributes into a record of a request
+   * body.
+   *
+   * @method serializeRecord
+   * @param {RestModel} klass the class of the record
+   * @param {Object} properties an object of serialized attributes
+   * @param {RestModel} [record] the record the attributes are from
+   * @return {Object} the record in the payload
+   */
+  serializeRecord: function(klass, properties) {
+    var keyTransform = klass.getKeyTransform();
+
+    return transformKeys(properties, function(name) {
+      return this.getKey(klass, name);
+    }.bind(this), keyTransform && keyTransform.serialize);
+  },
+
+  /**
+   * Get the name of the attribute received under a key, applying the class's
+   * `keyTransform` before `attributeForKey`.
+   *
+   * @method getAttributeName
+   * @private
+   * @param {RestModel} klass the class of the record
+   * @param {String} key the key in the payload
+   * @return {String} the name of the attribute
+   */
+  getAttributeName: function(klass, key) {
+    var keyTransform = klass.getKeyTransform();
+    return this.attributeForKey(keyTransform ? keyTransform.deserialize(key) : key);
+  },
+
+  /**
+   * Get the key an attribute is sent under, applying `keyForAttribute` before
+   * the class's `keyTransform`.
+   *
+   * @method getKey
+   * @private
+   * @param {RestModel} klass the class of the record
+   * @param {String} name the name of the attribute
+   * @return {String} the key in the payload
+   */
+  getKey: function(klass, name) {
+    var keyTransform = klass.getKeyTransform();
+
+    name = this.keyForAttribute(name);
+    return keyTransform ? keyTransform.serialize(name) : name;
+  },
+
+  /**
+   * Wrap a record or array of records into a request body.
+   *
+   * @method wrap
+   * @param {RestModel} klass the class of the records
+   * @param {Object,Array} data the record or records
+   * @return {Object,Array} the request body
+   */
+  wrap: function(klass, data) {
+    return data;
+  }
+});
+
+/**
+ * A serializer for APIs wrapping records in an object under a root key, e.g.
+ * `{ "app": { ... } }` and `{ "apps": [...] }`. Response bodies without the
+ * root key are used as they are.
+ *
+ * @class EnvelopeSerializer
+ * @extends JSONSerializer
+ * @constructor
+ * @example
+ * ```javascript
+ * RestModel.serializers.envelope.create({ root: 'person', pluralRoot: 'people' });
+ * ```
+ */
+exports.envelope = JSONSerializer.extend({
+  /**
+   * The root key of a single record, defaulting to the class's `typeKey`.
+   *
+   * @property root
+   * @type String
+   * @default null
+   */
+  root: null,
+
+  /**
+   * The root key of an array of records, defaulting to the `root` with an
+   * 's' appended.
+   *
+   * @property pluralRoot
+   * @type String
+   * @default null
+   */
+  pluralRoot: null,
+
+  extract: function(klass, payload) {
+    var roots = this.getRoots(klass);
+
+    if (!Ember.$.isPlainObject(payload)) {
+      return payload;
+    } else if (payload.hasOwnProperty(roots.plural)) {
+      return payload[roots.plural];
+    } else if (payload.hasOwnProperty(roots.single)) {
+      return payload[roots.single];
+    }
+
+    return payload;
+  },
+
+  wrap: function(klass, data) {
+    var roots   = this.getRoots(klass);
+    var payload = {};
+
+    payload[Ember.isArray(data) ? roots.plural : roots.single] = data;
+    return payload;
+  },
+
+  /**
+   * Get the root keys of a single record and an array of records.
+   *
+   * @method getRoots
+   * @private
+   * @param {RestModel} klass the class of the records
+   * @return {Object} the `single` and `plural` root keys
+   */
+  getRoots: function(klass) {
+    var root = this.get('root') || klass.typeKey;
+
+    if (!root) {
+      throw new Error('An envelope serializer needs a `root` or a class with a `typeKey`.');
+    }
+
+    return { single: root, plural: this.get('pluralRoot') || `${root}s` };
+  }
+});
+
+/**
+ * A serializer for JSON:API documents, whose records are resource objects
+ * with a `type`, `id`, `attributes` and `relationships` under `data`. The `id`
+ * becomes the class's primary key, and to-one relationships become the
+ * primary keys of the related records (to-many ones arrays of them).
+ *
+ * @class JSONAPISerializer
+ * @extends JSONSerializer
+ * @constructor
+ */
+exports.jsonApi = JSONSerializer.extend({
+  contentType: 'application/vnd.api+json',
+
+  /**
+   * The `type` of sent resource objects, defaulting to the class's `typeKey`.
+   *
+   * @property type
+   * @type String
+   * @default null
+   */
+  type: null,
+
+  extract: function(klass, payload) {
+    return Ember.$.isPlainObject(payload) && payload.hasOwnProperty('data') ?
+      payload.data : payload;
+  },
+
+  normalize: function(klass, hash) {
+    var result = this._super(klass, hash.attributes || {});
+    var links  = hash.relationships || {};
+
+    Object.keys(links).forEach(function(key) {
+      var linkage = links[key] && links[key].data;
+
+      if (linkage !== undefined) {
+        result[this.getAttributeName(klass, key)] = Ember.isArray(linkage) ?
+          linkage.map(function(item) { return item.id; }) :
+          linkage && linkage.id;
+      }
+    }.bind(this));
+
+    if (!Ember.isNone(hash.id)) {
+      result[klass.primaryKeys[0]] = hash.id;
+    }
+
+    return result;
+  },
+
+  serializeRecord: function(klass, properties, record) {
+    var keyName    = klass.primaryKeys[0];
+    var attributes = utils.extend({}, properties);
+    var id         = record ? record.get('primaryKey') : attributes[keyName];
+    var resource   = { type: this.get('type') || klass.typeKey };
+
+    delete attributes[keyName];
+
+    if (!Ember.isNone(id)) {
+      resource.id = String(id);
+    }
+
+    resource.attributes = this._super(klass, attributes, record);
+    return resource;
+  },
+
+  wrap: function(klass, data) {
+    return { data: data };
+  }
+});
+
+/**
+ * Copy an object, renaming each of its keys, and those of any objects nested
+ * in its values.
+ *
+ * @method transformKeys
+ * @private
+ * @param {Object} object the object to copy
+ * @param {Function} transform a function returning the new name of a key
+ * @param {Function} [nestedTransform] a function returning the new name of a
+ *   key of a nested object, which are left as they are without one
+ * @return {Object} the copy
+ */
+function transformKeys(object, transform, nestedTransform) {
+  return Object.keys(object).reduce(function(result, key) {
+    result[transform(key)] = nestedTransform ?
+      transformNestedKeys(object[key], nestedTransform) : object[key];
+    return result;
+  }, {});
+}
+
+/**
+ * Copy a value, renaming the keys of any plain objects in it.
+ *
+ * @method transformNestedKeys
+ * @private
+ * @param {Any} value the value to copy
+ * @param {Function} transform a function returning the new name of a key
+ * @return {Any} the copy, or the value itself if it contains no objects
+ */
+function transformNestedKeys(value, transform) {
+  if (Ember.isArray(value)) {
+    return value.map(function(item) {
+      return transformNestedKeys(item, transform);
+    });
+  } else if (Ember.$.isPlainObject(value)) {
+    return transformKeys(value, transform, transform);
+  }
+
+  return value;
+}
@@ -0,0 +1,159 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * The built-in attribute transforms. A transform converts a value from its API
+ * representation in `deserialize`, and back in `serialize`. Both receive the
+ * attribute's declaration options as their second argument. A transform may
+ * also implement `isEqual`, used when determining dirty properties, and
+ * `copy`, used when remembering and reverting to original values.
+ *
+ * @class Transforms
+ * @static
+ */
+
+exports.date = {
+  deserialize: function(value) {
+    if (Ember.isNone(value) || value === '') {
+      return null;
+    }
+
+    var date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  serialize: function(value) {
+    return value instanceof Date && !isNaN(value.getTime()) ?
+      value.toISOString() : null;
+  },
+
+  isEqual: function(value1, value2) {
+    if (value1 instanceof Date && value2 instanceof Date) {
+      return value1.getTime() === value2.getTime();
+    }
+
+    return Ember.isNone(value1) && Ember.isNone(value2);
+  }
+};
+
+exports.number = {
+  deserialize: function(value) {
+    if (Ember.isNone(value) || value === '') {
+      return null;
+    }
+
+    var number = Number(value);
+    return isNaN(number) ? null : number;
+  },
+
+  serialize: function(value) {
+    return exports.number.deserialize(value);
+  }
+};
+
+exports.boolean = {
+  deserialize: function(value) {
+    if (Ember.isNone(value)) {
+      return null;
+    }
+
+    if (typeof value === 'string') {
+      return ['true', 't', '1'].indexOf(value.toLowerCase()) !== -1;
+    }
+
+    return Boolean(value);
+  },
+
+  serialize: function(value) {
+    return exports.boolean.deserialize(value);
+  }
+};
+
+exports.enum = {
+  deserialize: function(value, options) {
+    var values = options.values || [];
+    return values.indexOf(value) === -1 ? null : value;
+  },
+
+  serialize: function(value, options) {
+    return exports.enum.deserialize(value, options);
+  }
+};
+
+/**
+ * Turn embedded objects into records of the RestModel class given as the
+ * `model` option (or a function returning it), through its `deserialize` and
+ * `::load`, so they share its identity map. Arrays of objects become arrays
+ * of records. With the `serializeAs` option set to 'id', records serialize to
+ * an object of their primary keys, e.g. `{ id: 1 }`, rather than the default,
+ * 'object', which includes all their attributes.
+ *
+ * @property model
+ * @type Object
+ */
+exports.model = {
+  deserialize: function(value, options) {
+    var klass = utils.resolveClass(options.model);
+
+    if (Ember.isArray(value)) {
+      return value.map(function(item) {
+        return exports.model.deserialize(item, options);
+      });
+    }
+
+    if (Ember.isNone(value)) {
+      return null;
+    }
+
+    if (value instanceof klass) {
+      return value;
+    }
+
+    return klass.load(klass.deserialize(value));
+  },
+
+  serialize: function(value, options) {
+    var klass = utils.resolveClass(options.model);
+
+    if (Ember.isArray(value)) {
+      return value.map(function(item) {
+        return exports.model.serialize(item, options);
+      });
+    }
+
+    if (Ember.isNone(value)) {
+      return null;
+    }
+
+    if (Ember.$.isPlainObject(value)) {
+      return value;
+    }
+
+    if (!(value instanceof klass)) {
+      var keys = {};
+      keys[klass.getPrimaryKeyNames()[0]] = value;
+      return keys;
+    }
+
+    if (options.serializeAs === 'id') {
+      return value.getProperties(klass.getPrimaryKeyNames());
+    }
+
+    return value.toObject(value.get('attrNames').concat(klass.getPrimaryKeyNames()));
+  },
+
+  isEqual: function(value1, value2) {
+    if (Ember.isArray(value1) && Ember.isArray(value2)) {
+      return value1.length === value2.length && value1.every(function(item, index) {
+        return item === value2[index];
+      });
+    }
+
+    return value1 === value2 || (Ember.isNone(value1) && Ember.isNone(value2));
+  },
+
+  copy: function(value) {
+    return Ember.isArray(value) ? value.slice() : value;
+  }
+};
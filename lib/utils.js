@@ -37,6 +37,97 @@ exports.objectsEqual = function(object1, object2) {
   }
 };
 
+exports.deepEqual = function(value1, value2) {
+  if (Ember.isArray(value1) && Ember.isArray(value2)) {
+    value1 = toArray(value1);
+    value2 = toArray(value2);
+
+    return value1.length === value2.length && value1.every(function(item, index) {
+      return exports.deepEqual(item, value2[index]);
+    });
+  }
+
+  if (Ember.$.isPlainObject(value1) && Ember.$.isPlainObject(value2)) {
+    var keys1 = Object.keys(value1).sort();
+    var keys2 = Object.keys(value2).sort();
+
+    return exports.arraysEqual(keys1, keys2) && keys1.every(function(key) {
+      return exports.deepEqual(value1[key], value2[key]);
+    });
+  }
+
+  return Ember.isEqual(value1, value2);
+};
+
+exports.deepCopy = function(value) {
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return exports.deepCopy(item);
+    });
+  }
+
+  if (Ember.$.isPlainObject(value)) {
+    return Object.keys(value).reduce(function(copy, key) {
+      copy[key] = exports.deepCopy(value[key]);
+      return copy;
+    }, {});
+  }
+
+  // records, e.g. of embedded attributes, are shared rather than copied
+  return value instanceof Date ? new Date(value.getTime()) : value;
+};
+
+exports.diff = function(original, current, path, changes) {
+  changes = changes || {};
+
+  if (Ember.isArray(original) && Ember.isArray(current) &&
+      Ember.get(original, 'length') === Ember.get(current, 'length')) {
+    original = toArray(original);
+    current  = toArray(current);
+
+    original.forEach(function(item, index) {
+      exports.diff(item, current[index], `${path}.${index}`, changes);
+    });
+  } else if (Ember.$.isPlainObject(original) && Ember.$.isPlainObject(current)) {
+    var keys = Object.keys(original).concat(Object.keys(current).filter(function(key) {
+      return !original.hasOwnProperty(key);
+    }));
+
+    keys.forEach(function(key) {
+      exports.diff(original[key], current[key], `${path}.${key}`, changes);
+    });
+  } else if (!exports.deepEqual(original, current)) {
+    changes[path] = [original, current];
+  }
+
+  return changes;
+};
+
+exports.observablePaths = function(path, value) {
+  var paths = [];
+
+  if (Ember.isArray(value)) {
+    var itemKeys = toArray(value).reduce(function(keys, item) {
+      return Ember.$.isPlainObject(item) ? keys.concat(Object.keys(item).filter(function(key) {
+        return keys.indexOf(key) === -1;
+      })) : keys;
+    }, []);
+
+    paths.push(`${path}.[]`);
+
+    if (itemKeys.length) {
+      paths.push(`${path}.@each.{${itemKeys.join(',')}}`);
+    }
+  } else if (Ember.$.isPlainObject(value)) {
+    Object.keys(value).forEach(function(key) {
+      paths.push(`${path}.${key}`);
+      paths = paths.concat(exports.observablePaths(`${path}.${key}`, value[key]));
+    });
+  }
+
+  return paths;
+};
+
 exports.extend = function(target, source) {
   for (var key in source) {
     if (source.hasOwnProperty(key)) {
@@ -78,3 +169,156 @@ exports.findNotIn = function(arrayA, arrayB, klass) {
     return notIn;
   }.bind(this), []);
 };
+
+exports.param = function(object, prefix) {
+  var keys = Object.keys(object);
+
+  if (!Ember.isArray(object)) {
+    keys.sort();
+  }
+
+  return keys.reduce(function(pairs, key) {
+    var value = object[key];
+    var name  = prefix ? `${prefix}[${Ember.isArray(object) ? '' : key}]` : key;
+
+    if (value !== null && typeof value === 'object') {
+      pairs.push(exports.param(value, name));
+    } else if (value !== undefined) {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value === null ? '' : value)}`);
+    }
+
+    return pairs;
+  }, []).filter(Boolean).join('&');
+};
+
+exports.parseHeaders = function(headerString) {
+  return (headerString || '').split(/\r?\n/).reduce(function(headers, line) {
+    var index = line.indexOf(':');
+
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+
+    return headers;
+  }, {});
+};
+
+exports.parseAttrs = function(attrs) {
+  return (attrs || []).reduce(function(declarations, attr) {
+    if (typeof attr === 'string') {
+      var isArray = /\.\[\]$/.test(attr);
+
+      declarations.push({
+        name   : isArray ? attr.split('.')[0] : attr,
+        key    : attr,
+        isArray: isArray
+      });
+    } else {
+      Object.keys(attr).forEach(function(name) {
+        var options = attr[name];
+
+        if (typeof options === 'string') {
+          options = { type: options };
+        }
+
+        declarations.push({
+          name   : name,
+          key    : name,
+          type   : options.type,
+          options: options
+        });
+      });
+    }
+
+    return declarations;
+  }, []);
+};
+
+exports.resolveClass = function(klass) {
+  return klass.isClass ? klass : klass();
+};
+
+exports.extract = function(object, keys) {
+  return keys.reduce(function(extracted, key) {
+    if (object.hasOwnProperty(key)) {
+      extracted[key] = object[key];
+      delete object[key];
+    }
+
+    return extracted;
+  }, {});
+};
+
+function toArray(array) {
+  return array.toArray ? array.toArray() : array;
+}
+
+exports.parseLinkHeader = function(header) {
+  return (header || '').split(/,\s*(?=<)/).reduce(function(links, link) {
+    var match = link.match(/<([^>]*)>\s*;.*rel="?([^";]+)"?/);
+
+    if (match) {
+      match[2].split(/\s+/).forEach(function(rel) {
+        links[rel] = match[1];
+      });
+    }
+
+    return links;
+  }, {});
+};
+
+exports.createAbortController = function(parent) {
+  var controller;
+
+  if (typeof global.AbortController === 'function') {
+    controller = new global.AbortController();
+  } else {
+    var listeners = [];
+
+    controller = {
+      signal: {
+        aborted: false,
+        addEventListener: function(type, listener) {
+          listeners.push(listener);
+        },
+        removeEventListener: function(type, listener) {
+          var index = listeners.indexOf(listener);
+
+          if (index !== -1) {
+            listeners.splice(index, 1);
+          }
+        }
+      },
+      abort: function() {
+        if (!this.signal.aborted) {
+          this.signal.aborted = true;
+          listeners.slice().forEach(function(listener) {
+            listener();
+          });
+        }
+      }
+    };
+  }
+
+  var abort = function() {
+    controller.abort();
+  };
+
+  // stop following the parent once the request no longer needs to, so that a
+  // long-lived parent signal does not hold on to every controller
+  controller.detach = function() {
+    if (parent) {
+      parent.removeEventListener('abort', abort);
+    }
+  };
+
+  if (parent) {
+    if (parent.aborted) {
+      controller.abort();
+    } else {
+      parent.addEventListener('abort', abort);
+    }
+  }
+
+  return controller;
+};
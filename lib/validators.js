@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * The built-in attribute validators. A validator is called with the attribute
+ * value, its options and the record, and returns an error message if the value
+ * is invalid. Every validator accepts a `message` option overriding its
+ * message. Except for `presence`, validators ignore blank values.
+ *
+ * @class Validators
+ * @static
+ */
+
+exports.presence = function(value) {
+  if (Ember.isBlank(value)) {
+    return 'can\'t be blank';
+  }
+};
+
+exports.format = function(value, options) {
+  var pattern = options instanceof RegExp ? options : options.with;
+
+  if (!isEmpty(value) && !pattern.test(value)) {
+    return 'is invalid';
+  }
+};
+
+exports.length = function(value, options) {
+  if (isEmpty(value)) {
+    return;
+  }
+
+  var length = value.length;
+
+  if (!Ember.isNone(options.is) && length !== options.is) {
+    return `is the wrong length (should be ${options.is} characters)`;
+  } else if (!Ember.isNone(options.min) && length < options.min) {
+    return `is too short (minimum is ${options.min} characters)`;
+  } else if (!Ember.isNone(options.max) && length > options.max) {
+    return `is too long (maximum is ${options.max} characters)`;
+  }
+};
+
+exports.numericality = function(value, options) {
+  if (isEmpty(value)) {
+    return;
+  }
+
+  var number = Number(value);
+
+  if (typeof value === 'boolean' || isNaN(number)) {
+    return 'is not a number';
+  } else if (options.integer && number % 1 !== 0) {
+    return 'must be an integer';
+  } else if (!Ember.isNone(options.greaterThan) && number <= options.greaterThan) {
+    return `must be greater than ${options.greaterThan}`;
+  } else if (!Ember.isNone(options.greaterThanOrEqualTo) &&
+             number < options.greaterThanOrEqualTo) {
+    return `must be greater than or equal to ${options.greaterThanOrEqualTo}`;
+  } else if (!Ember.isNone(options.lessThan) && number >= options.lessThan) {
+    return `must be less than ${options.lessThan}`;
+  } else if (!Ember.isNone(options.lessThanOrEqualTo) &&
+             number > options.lessThanOrEqualTo) {
+    return `must be less than or equal to ${options.lessThanOrEqualTo}`;
+  }
+};
+
+exports.custom = function(value, options, record) {
+  var validate = typeof options === 'function' ? options : options.validate;
+  return validate.call(record, value, record);
+};
+
+function isEmpty(value) {
+  return Ember.isNone(value) || value === '';
+}
@@ -0,0 +1,185 @@
+// Allow expressions in place of function calls (for be.true, etc)
+// jshint -W030
+
+'use strict';
+
+require('./test-helper');
+
+var should = require('should');
+var sinon  = require('sinon');
+
+describe('RestModel.adapters', function() {
+  var RestModel;
+
+  before(function() {
+    RestModel = require('../index');
+  });
+
+  describe('jquery', function() {
+    it('performs the request with Ember.$.ajax', function() {
+      this.resolve = {};
+
+      return RestModel.adapters.jquery.request({ url: '/foo' }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/foo');
+      });
+    });
+
+    it('resolves with the data and status', function() {
+      this.resolve = { foo: 'bar' };
+
+      return RestModel.adapters.jquery.request({}).then(function(response) {
+        response.data.should.eql({ foo: 'bar' });
+        response.status.should.eql(200);
+      });
+    });
+
+    it('resolves with parsed response headers', function() {
+      jQuery.ajax = sinon.stub().returns({
+        then: function(resolve) {
+          resolve({}, 'success', {
+            status: 200,
+            getAllResponseHeaders: function() {
+              return 'ETag: "abc"\r\nContent-Type: application/json\r\n';
+            }
+          });
+        }
+      });
+
+      return RestModel.adapters.jquery.request({}).then(function(response) {
+        response.headers.should.eql({
+          'etag'        : '"abc"',
+          'content-type': 'application/json'
+        });
+      });
+    });
+  });
+
+  describe('fetch', function() {
+    var fetchResponse, originalFetch;
+
+    function buildResponse(status, body, headers) {
+      return {
+        ok        : status >= 200 && status < 300,
+        status    : status,
+        statusText: 'status text',
+        headers   : {
+          forEach: function(callback) {
+            Object.keys(headers || {}).forEach(function(name) {
+              callback(headers[name], name);
+            });
+          }
+        },
+        text: function() {
+          return Ember.RSVP.resolve(body);
+        }
+      };
+    }
+
+    beforeEach(function() {
+      originalFetch = global.fetch;
+      fetchResponse = buildResponse(200, '{"foo":"bar"}', { ETag: 'abc' });
+      global.fetch = sinon.spy(function() {
+        return Ember.RSVP.resolve(fetchResponse);
+      });
+    });
+
+    afterEach(function() {
+      global.fetch = originalFetch;
+    });
+
+    it('requests the URL with the method', function() {
+      return RestModel.adapters.fetch.request({ url: '/foo', type: 'PATCH' }).then(function() {
+        global.fetch.lastCall.args[0].should.eql('/foo');
+        global.fetch.lastCall.args[1].method.should.eql('PATCH');
+      });
+    });
+
+    it('sends the data as the body', function() {
+      return RestModel.adapters.fetch.request({
+        url : '/foo',
+        type: 'POST',
+        data: '{"foo":"bar"}'
+      }).then(function() {
+        global.fetch.lastCall.args[1].body.should.eql('{"foo":"bar"}');
+      });
+    });
+
+    it('adds GET data to the URL', function() {
+      return RestModel.adapters.fetch.request({
+        url : '/foo',
+        data: { bar: 'baz' }
+      }).then(function() {
+        global.fetch.lastCall.args[0].should.eql('/foo?bar=baz');
+        should(global.fetch.lastCall.args[1].body).eql(undefined);
+      });
+    });
+
+    it('sets the content type', function() {
+      return RestModel.adapters.fetch.request({
+        url        : '/foo',
+        contentType: 'application/json'
+      }).then(function() {
+        global.fetch.lastCall.args[1].headers['Content-Type'].should.eql('application/json');
+      });
+    });
+
+    it('lets beforeSend set request headers', function() {
+      return RestModel.adapters.fetch.request({
+        url       : '/foo',
+        beforeSend: function(xhr) {
+          xhr.setRequestHeader('Authorization', 'Bearer token');
+        }
+      }).then(function() {
+        global.fetch.lastCall.args[1].headers.Authorization.should.eql('Bearer token');
+      });
+    });
+
+    it('resolves with the parsed data, status and headers', function() {
+      return RestModel.adapters.fetch.request({ url: '/foo' }).then(function(response) {
+        response.should.eql({
+          data   : { foo: 'bar' },
+          status : 200,
+          headers: { etag: 'abc' }
+        });
+      });
+    });
+
+    it('resolves with null data for an empty body', function() {
+      fetchResponse = buildResponse(204, '');
+
+      return RestModel.adapters.fetch.request({ url: '/foo' }).then(function(response) {
+        should(response.data).eql(null);
+      });
+    });
+
+    it('resolves 304 Not Modified responses', function() {
+      fetchResponse = buildResponse(304, '');
+
+      return RestModel.adapters.fetch.request({ url: '/foo' }).then(function(response) {
+        response.status.should.eql(304);
+      });
+    });
+
+    it('rejects unsuccessful responses like a jqXHR', function() {
+      fetchResponse = buildResponse(422, '{"message":"invalid"}');
+
+      return RestModel.adapters.fetch.request({ url: '/foo' }).then(null, function(error) {
+        error.status.should.eql(422);
+        error.responseJSON.should.eql({ message: 'invalid' });
+        error.responseText.should.eql('{"message":"invalid"}');
+      });
+    });
+
+    it('can be used as the adapter of a class', function() {
+      var Model = RestModel.extend().reopenClass({
+        adapter: RestModel.adapters.fetch,
+        base   : 'models'
+      });
+
+      return Model.find(1).then(function(model) {
+        global.fetch.lastCall.args[0].should.eql('/models/1');
+        model.get('foo').should.eql('bar');
+      });
+    });
+  });
+});
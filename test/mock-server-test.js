@@ -0,0 +1,178 @@
+// Allow expressions in place of function calls (for be.true, etc)
+// jshint -W030
+
+'use strict';
+
+require('./test-helper');
+
+var should = require('should');
+
+function pluck(records, key) {
+  return records.map(function(record) {
+    return Ember.get(record, key);
+  });
+}
+
+describe('RestModel.MockServer', function() {
+  var Comment, Post, RestModel, server;
+
+  before(function() {
+    RestModel = require('../index');
+
+    Post = RestModel.extend({
+      attrs: Ember.computed(function() {
+        return ['name'];
+      })
+    }).reopenClass({
+      typeKey  : 'mock-post',
+      namespace: 'api',
+      base     : 'posts'
+    });
+
+    Comment = RestModel.extend({
+      attrs: Ember.computed(function() {
+        return ['body'];
+      })
+    }).reopenClass({
+      typeKey  : 'mock-comment',
+      namespace: 'api',
+      base     : 'posts/:post/comments'
+    });
+  });
+
+  beforeEach(function() {
+    server = RestModel.MockServer.create();
+    server.seed(Post, [{ id: 1, name: 'first' }, { id: 2, name: 'second' }]);
+    server.seed(Comment, { post: 1 }, [{ id: 1, body: 'hello' }]);
+
+    Post.reopenClass({ adapter: server });
+    Comment.reopenClass({ adapter: server });
+  });
+
+  afterEach(function() {
+    Post.clearCache();
+    Comment.clearCache();
+  });
+
+  describe('::all', function() {
+    it('resolves with the stored records', function() {
+      return Post.all().then(function(posts) {
+        pluck(posts, 'name').should.eql(['first', 'second']);
+      });
+    });
+
+    it('resolves with the stored records of the parent', function() {
+      return Comment.all({ post: 1 }).then(function(comments) {
+        pluck(comments, 'body').should.eql(['hello']);
+        comments[0].get('post').should.eql(1);
+      });
+    });
+
+    it('resolves with an empty array for a parent without records', function() {
+      return Comment.all({ post: 2 }).then(function(comments) {
+        comments.should.eql([]);
+      });
+    });
+  });
+
+  describe('::find', function() {
+    it('resolves with the stored record', function() {
+      return Post.find(2).then(function(post) {
+        post.get('name').should.eql('second');
+      });
+    });
+
+    it('finds nested records', function() {
+      return Comment.find({ post: 1 }, 1).then(function(comment) {
+        comment.get('body').should.eql('hello');
+      });
+    });
+
+    it('rejects with a 404 for a missing record', function() {
+      return Post.find(3).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.status.should.eql(404);
+      });
+    });
+  });
+
+  describe('#save', function() {
+    it('creates new records with a generated primary key', function() {
+      var post = Post.create({ name: 'third' });
+
+      return post.save().then(function() {
+        post.get('id').should.eql(3);
+        pluck(server.records(Post), 'name').should.eql(['first', 'second', 'third']);
+      });
+    });
+
+    it('creates nested records under their parent', function() {
+      var comment = Comment.create({ post: 2, body: 'new' });
+
+      return comment.save().then(function() {
+        pluck(server.records(Comment, { post: 2 }), 'body').should.eql(['new']);
+      });
+    });
+
+    it('updates existing records', function() {
+      return Post.find(1).then(function(post) {
+        post.set('name', 'updated');
+        return post.save();
+      }).then(function() {
+        server.records(Post)[0].name.should.eql('updated');
+      });
+    });
+  });
+
+  describe('#fetch', function() {
+    it('updates the record with the stored attributes', function() {
+      var post = Post.create({ id: 1 });
+
+      return post.fetch().then(function() {
+        post.get('name').should.eql('first');
+      });
+    });
+  });
+
+  describe('#delete', function() {
+    it('removes the stored record', function() {
+      return Post.create({ id: 1 }).delete().then(function() {
+        pluck(server.records(Post), 'id').should.eql([2]);
+      });
+    });
+  });
+
+  describe('#request', function() {
+    it('logs requests', function() {
+      return Post.find(1).then(function() {
+        server.get('requests').slice(-1)[0].should.eql({
+          method: 'GET',
+          url   : '/api/posts/1',
+          data  : undefined
+        });
+      });
+    });
+
+    it('rejects with a 404 for unknown paths', function() {
+      return server.request({ url: '/unknown' }).then(null, function(error) {
+        error.status.should.eql(404);
+      });
+    });
+
+    it('rejects with a 405 for unsupported methods', function() {
+      return server.request({ url: '/api/posts', type: 'DELETE' }).then(null, function(error) {
+        error.status.should.eql(405);
+      });
+    });
+  });
+
+  describe('#reset', function() {
+    it('removes stored records and logged requests', function() {
+      server.reset();
+      server.records(Post).should.eql([]);
+      server.get('requests').should.eql([]);
+      should(server.get('classes').indexOf(Post)).not.eql(-1);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+// Allow expressions in place of function calls (for be.true, etc)
+// jshint -W030
+
+'use strict';
+
+require('./test-helper');
+
+var should = require('should');
+
+function pluck(records, key) {
+  return records.map(function(record) {
+    return Ember.get(record, key);
+  });
+}
+
+describe('RestModel relationships', function() {
+  var Addon, App, Attachment, Dyno, RestModel, server;
+
+  before(function() {
+    RestModel = require('../index');
+
+    App = RestModel.extend({
+      attrs : ['name'],
+      dynos : RestModel.hasMany(function() { return Dyno; }),
+      addons: RestModel.hasMany(function() { return Addon; }),
+      web   : RestModel.hasMany(function() { return Dyno; }, {
+        query: { type: 'web' }
+      })
+    }).reopenClass({
+      typeKey: 'rel-app',
+      base   : 'apps'
+    });
+
+    Dyno = RestModel.extend({
+      attrs: ['type'],
+      app  : RestModel.belongsTo(App)
+    }).reopenClass({
+      typeKey: 'rel-dyno',
+      base   : 'apps/:app/dynos'
+    });
+
+    Addon = RestModel.extend({
+      attrs      : ['plan'],
+      app        : RestModel.belongsTo(App),
+      attachments: RestModel.hasMany(function() { return Attachment; })
+    }).reopenClass({
+      typeKey: 'rel-addon',
+      base   : 'apps/:app/addons'
+    });
+
+    Attachment = RestModel.extend({
+      attrs: ['name'],
+      addon: RestModel.belongsTo(Addon)
+    }).reopenClass({
+      typeKey: 'rel-attachment',
+      base   : 'apps/:app/addons/:addon/attachments'
+    });
+  });
+
+  beforeEach(function() {
+    server = RestModel.MockServer.create();
+    server.seed(App, [{ id: 1, name: 'first' }]);
+    server.seed(Dyno, { app: 1 }, [{ id: 2, type: 'web' }, { id: 3, type: 'worker' }]);
+    server.seed(Addon, { app: 1 }, [{ id: 4, plan: 'basic' }]);
+    server.seed(Attachment, { app: 1, addon: 4 }, [{ id: 5, name: 'DATABASE' }]);
+
+    [App, Dyno, Addon, Attachment].forEach(function(klass) {
+      klass.reopenClass({ adapter: server });
+    });
+  });
+
+  afterEach(function() {
+    [App, Dyno, Addon, Attachment].forEach(function(klass) {
+      klass.clearCache();
+    });
+  });
+
+  describe('hasMany', function() {
+    it('loads the children with the child class', function() {
+      return App.find(1).then(function(app) {
+        return app.get('dynos');
+      }).then(function(dynos) {
+        pluck(dynos, 'type').should.eql(['web', 'worker']);
+        server.get('requests').slice(-1)[0].url.should.eql('/apps/1/dynos');
+      });
+    });
+
+    it('sets the parent of each child', function() {
+      return App.find(1).then(function(app) {
+        return app.get('dynos').then(function(dynos) {
+          dynos[0].get('app.content').should.equal(app);
+          dynos[0].get('path').should.eql('/apps/1/dynos/2');
+        });
+      });
+    });
+
+    it('proxies the loaded children', function() {
+      return App.find(1).then(function(app) {
+        var dynos = app.get('dynos');
+        dynos.get('isPending').should.be.true;
+
+        return dynos.then(function() {
+          dynos.get('length').should.eql(2);
+          dynos.get('isFulfilled').should.be.true;
+        });
+      });
+    });
+
+    it('caches the children on the parent', function() {
+      return App.find(1).then(function(app) {
+        var dynos = app.get('dynos');
+
+        return dynos.then(function() {
+          app.get('dynos').should.equal(dynos);
+          server.get('requests').length.should.eql(2);
+        });
+      });
+    });
+
+    it('reloads the children', function() {
+      var app;
+
+      return App.find(1).then(function(result) {
+        app = result;
+        return app.get('dynos');
+      }).then(function() {
+        server.seed(Dyno, { app: 1 }, [{ id: 6, type: 'run' }]);
+        return app.get('dynos').reload();
+      }).then(function(dynos) {
+        pluck(dynos, 'type').should.eql(['web', 'worker', 'run']);
+        app.get('dynos.length').should.eql(3);
+      });
+    });
+
+    it('passes the parents of the parent on to the children', function() {
+      return App.find(1).then(function(app) {
+        return app.get('addons');
+      }).then(function(addons) {
+        return addons[0].get('attachments');
+      }).then(function(attachments) {
+        pluck(attachments, 'name').should.eql(['DATABASE']);
+        server.get('requests').slice(-1)[0].url.should.eql('/apps/1/addons/4/attachments');
+      });
+    });
+
+    it('sends the query of the relationship', function() {
+      return App.find(1).then(function(app) {
+        return app.get('web');
+      }).then(function() {
+        server.get('requests').slice(-1)[0].url.should.eql('/apps/1/dynos?type=web');
+      });
+    });
+
+    it('resolves with no children for a new record', function() {
+      return App.create().get('dynos').then(function(dynos) {
+        dynos.length.should.eql(0);
+        server.get('requests').length.should.eql(0);
+      });
+    });
+  });
+
+  describe('belongsTo', function() {
+    it('resolves a parent set as an instance', function() {
+      var app  = App.create({ id: 1 });
+      var dyno = Dyno.create({ id: 2, app: app });
+
+      return dyno.get('app').then(function(parent) {
+        parent.should.equal(app);
+        dyno.get('app.content').should.equal(app);
+        server.get('requests').length.should.eql(0);
+      });
+    });
+
+    it('fetches a parent set as a primary key', function() {
+      var dyno = Dyno.create({ id: 2, app: 1 });
+
+      return dyno.get('app').then(function(app) {
+        app.should.be.an.instanceOf(App);
+        app.get('name').should.eql('first');
+        server.get('requests').slice(-1)[0].url.should.eql('/apps/1');
+      });
+    });
+
+    it('fetches a parent nested under its own parents', function() {
+      var attachment = Attachment.create({ id: 5, app: 1, addon: 4 });
+
+      return attachment.get('addon').then(function(addon) {
+        addon.get('plan').should.eql('basic');
+        server.get('requests').slice(-1)[0].url.should.eql('/apps/1/addons/4');
+      });
+    });
+
+    it('uses the parent for the path', function() {
+      Dyno.create({ id: 2, app: 1 }).get('path').should.eql('/apps/1/dynos/2');
+      Dyno.create({ id: 2, app: App.create({ id: 1 }) }).get('path')
+        .should.eql('/apps/1/dynos/2');
+    });
+
+    it('does not fetch the parent when it is set', function() {
+      return Dyno.find({ app: 1 }, 2).then(function() {
+        server.get('requests').length.should.eql(1);
+      });
+    });
+
+    it('is null without a parent', function() {
+      should(Dyno.create().get('app')).eql(null);
+    });
+
+    it('is set by ::find', function() {
+      return Dyno.find({ app: 1 }, 2).then(function(dyno) {
+        return dyno.get('app');
+      }).then(function(app) {
+        app.get('name').should.eql('first');
+      });
+    });
+  });
+});
@@ -10,6 +10,7 @@ require('./test-helper');
 
 var should = require('should');
 var sinon  = require('sinon');
+var utils  = require('../lib/utils');
 
 describe('RestModel', function() {
   var Comment, Post, RestModel, post;
@@ -45,6 +46,11 @@ describe('RestModel', function() {
     post = Post.create();
   });
 
+  afterEach(function() {
+    Post.clearCache();
+    Comment.clearCache();
+  });
+
   describe('.dirtyProperties', function() {
     context('when no attributes have changed', function() {
       it('is empty', function() {
@@ -86,6 +92,73 @@ describe('RestModel', function() {
       });
     });
 
+    context('with nested objects and arrays of objects', function() {
+      var Team, team;
+
+      before(function() {
+        Team = RestModel.extend({
+          attrs: ['settings', 'members']
+        });
+      });
+
+      beforeEach(function() {
+        team = Team.create({
+          settings: { theme: 'light', layout: { columns: 2 } },
+          members : Ember.A([{ name: 'a', role: 'owner' }, { name: 'b', role: 'member' }])
+        });
+      });
+
+      it('is empty for deeply equal values', function() {
+        team.set('settings', { layout: { columns: 2 }, theme: 'light' });
+        team.get('dirtyProperties').should.eql([]);
+      });
+
+      it('includes an object changed deep within', function() {
+        Ember.set(team.get('settings.layout'), 'columns', 3);
+        team.get('dirtyProperties').should.eql(['settings']);
+        team.get('isDirty').should.be.true;
+      });
+
+      it('includes an array whose objects have changed', function() {
+        Ember.set(team.get('members')[1], 'role', 'owner');
+        team.get('dirtyProperties').should.eql(['members']);
+      });
+
+      it('notifies observers of changes deep within', function() {
+        var changed = false;
+
+        team.get('isDirty');
+        Ember.addObserver(team, 'isDirty', function() {
+          changed = true;
+        });
+
+        team.set('settings.theme', 'dark');
+        changed.should.be.true;
+      });
+
+      it('includes an object given a key it did not have', function() {
+        team.get('isDirty').should.be.false;
+        team.set('settings.font', 'serif');
+        team.get('dirtyProperties').should.eql(['settings']);
+        team.get('isDirty').should.be.true;
+        team.get('isClean').should.be.false;
+      });
+
+      it('includes a native array whose objects have changed', function() {
+        team = Team.create({ members: [{ name: 'a', role: 'owner' }] });
+        team.get('isDirty').should.be.false;
+        Ember.set(team.get('members')[0], 'role', 'member');
+        team.get('dirtyProperties').should.eql(['members']);
+        team.get('isDirty').should.be.true;
+      });
+
+      it('observes the paths of values set by ::load', function() {
+        Team.load({ settings: { theme: 'light', font: 'serif' } }, team);
+        team.set('settings.font', 'sans');
+        team.get('isDirty').should.be.true;
+      });
+    });
+
     context('when getDirtyProperties is overridden', function() {
       it('uses that functionality', function() {
         post.reopen({
@@ -314,6 +387,59 @@ describe('RestModel', function() {
     });
   });
 
+  describe('#changedAttributes', function() {
+    var Team, team;
+
+    beforeEach(function() {
+      Team = RestModel.extend({
+        attrs: ['name', 'settings', 'members', { founded: 'date' }]
+      });
+
+      team = Team.create({
+        name    : 'foo',
+        settings: { theme: 'light', layout: { columns: 2 } },
+        members : [{ name: 'a', role: 'owner' }],
+        founded : new Date(Date.UTC(2016, 0, 1))
+      });
+    });
+
+    it('is empty without changes', function() {
+      team.changedAttributes().should.eql({});
+    });
+
+    it('includes the original and current values of changed attributes', function() {
+      team.set('name', 'bar');
+      team.changedAttributes().should.eql({ name: ['foo', 'bar'] });
+    });
+
+    it('includes the paths of changes within nested objects and arrays', function() {
+      team.set('settings.layout.columns', 3);
+      team.set('settings.font', 'serif');
+      Ember.set(team.get('members')[0], 'role', 'member');
+
+      team.changedAttributes().should.eql({
+        'settings.layout.columns': [2, 3],
+        'settings.font'          : [undefined, 'serif'],
+        'members.0.role'         : ['owner', 'member']
+      });
+    });
+
+    it('includes arrays whose length has changed as a whole', function() {
+      team.set('members', []);
+      team.changedAttributes().should.eql({
+        members: [[{ name: 'a', role: 'owner' }], []]
+      });
+    });
+
+    it('compares typed attributes with their transform', function() {
+      team.set('founded', new Date(Date.UTC(2016, 0, 1)));
+      team.changedAttributes().should.eql({});
+
+      team.set('founded', new Date(Date.UTC(2017, 0, 1)));
+      Object.keys(team.changedAttributes()).should.eql(['founded']);
+    });
+  });
+
   describe('#revert', function() {
     beforeEach(function() {
       post = Post.create({ name: 'foo' });
@@ -345,6 +471,24 @@ describe('RestModel', function() {
       post.revert();
       changed.should.be.true;
     });
+
+    it('restores nested objects and arrays of objects', function() {
+      var team = RestModel.extend({ attrs: ['settings', 'members'] }).create({
+        settings: { layout: { columns: 2 } },
+        members : [{ name: 'a', role: 'owner' }]
+      });
+
+      team.set('settings.layout.columns', 3);
+      Ember.set(team.get('members')[0], 'role', 'member');
+      team.revert();
+
+      team.get('settings').should.eql({ layout: { columns: 2 } });
+      team.get('members').should.eql([{ name: 'a', role: 'owner' }]);
+      team.get('isDirty').should.be.false;
+
+      team.set('settings.layout.columns', 4);
+      team.get('originalProperties.settings.layout.columns').should.eql(2);
+    });
   });
 
   describe('#save', function() {
@@ -418,6 +562,62 @@ describe('RestModel', function() {
       });
     });
 
+    context('with partial updates', function() {
+      var Partial;
+
+      before(function() {
+        Partial = Post.extend().reopenClass({
+          partialUpdates: true,
+          alwaysSend    : ['id']
+        });
+      });
+
+      beforeEach(function() {
+        post = Post.create({ id: 1, name: 'foo' });
+        post.get('tags').pushObject('draft');
+      });
+
+      it('sends only the dirty properties with the partial option', function() {
+        return post.save({ partial: true }).then(function() {
+          jQuery.ajax.lastCall.args[0].data.should.eql('{"tags":["draft"]}');
+          should(jQuery.ajax.lastCall.args[0].partial).eql(undefined);
+        });
+      });
+
+      it('sends only the dirty properties and alwaysSend keys of a class with partialUpdates', function() {
+        var partial = Partial.create({ id: 1, name: 'foo' });
+        partial.set('name', 'bar');
+
+        return partial.save().then(function() {
+          jQuery.ajax.lastCall.args[0].data.should.eql('{"name":"bar","id":1}');
+        });
+      });
+
+      it('can be disabled per call', function() {
+        var partial = Partial.create({ id: 1, name: 'foo' });
+        partial.set('name', 'bar');
+
+        return partial.save({ partial: false }).then(function() {
+          jQuery.ajax.lastCall.args[0].data.should.eql('{"name":"bar","tags":[]}');
+        });
+      });
+
+      it('resolves without a request when nothing is dirty', function() {
+        post.get('tags').removeObject('draft');
+
+        return post.save({ partial: true }).then(function(result) {
+          result.should.equal(post);
+          jQuery.ajax.called.should.be.false;
+        });
+      });
+
+      it('sends every attribute when the record is new', function() {
+        return Post.create({ name: 'foo' }).save({ partial: true }).then(function() {
+          jQuery.ajax.lastCall.args[0].data.should.eql('{"name":"foo","tags":[]}');
+        });
+      });
+    });
+
     context('when there is no primary key', function() {
       beforeEach(function() {
         return post.save().then(function() {
@@ -526,6 +726,119 @@ describe('RestModel', function() {
         });
       });
     });
+
+    describe('adapter', function() {
+      var Model, adapter;
+
+      beforeEach(function() {
+        adapter = {
+          request: sinon.stub().returns(Ember.RSVP.resolve({
+            data   : [{ foo: 'bar' }],
+            status : 200,
+            headers: { etag: 'abc' }
+          }))
+        };
+
+        Model = RestModel.extend().reopenClass({
+          adapter: adapter,
+          deserialize: function(data) {
+            data.foo = 'transformed';
+            return data;
+          }
+        });
+      });
+
+      it('defaults to the jQuery adapter', function() {
+        RestModel.adapter.should.equal(RestModel.adapters.jquery);
+      });
+
+      it('performs the request with the class adapter', function() {
+        return Model.ajax({ url: '/foo' }).then(function() {
+          adapter.request.lastCall.args[0].url.should.eql('/foo');
+          adapter.request.lastCall.args[0].type.should.eql('GET');
+          jQuery.ajax.called.should.be.false;
+        });
+      });
+
+      it('is inherited by subclasses', function() {
+        return Model.extend().ajax().then(function() {
+          adapter.request.called.should.be.true;
+        });
+      });
+
+      it('resolves with the deserialized data, status and headers', function() {
+        return Model.ajax().then(function(response) {
+          response.should.eql({
+            data   : [{ foo: 'transformed' }],
+            status : 200,
+            headers: { etag: 'abc' }
+          });
+        });
+      });
+    });
+
+    describe('getBeforeSend', function() {
+      var Model, jqXHR;
+
+      before(function() {
+        Model = RestModel.extend().reopenClass({
+          getBeforeSend: function(options) {
+            return function(jqXHR) {
+              jqXHR.setRequestHeader('X-Method', options.type);
+            };
+          }
+        });
+      });
+
+      beforeEach(function() {
+        this.resolve = {};
+        jqXHR = { setRequestHeader: sinon.spy() };
+      });
+
+      it('does not set a beforeSend by default', function() {
+        return Post.ajax().then(function() {
+          should(jQuery.ajax.lastCall.args[0].beforeSend).eql(undefined);
+        });
+      });
+
+      it('is called with the resolved request options', function() {
+        return Model.ajax({ type: 'DELETE' }).then(function() {
+          jQuery.ajax.lastCall.args[0].beforeSend(jqXHR);
+          jqXHR.setRequestHeader.calledWith('X-Method', 'DELETE').should.be.true;
+        });
+      });
+
+      it('is inherited by subclasses', function() {
+        return Model.extend().ajax().then(function() {
+          jQuery.ajax.lastCall.args[0].beforeSend(jqXHR);
+          jqXHR.setRequestHeader.calledWith('X-Method', 'GET').should.be.true;
+        });
+      });
+
+      it('is combined with a beforeSend given in the options', function() {
+        var beforeSend = sinon.spy();
+
+        return Model.ajax({ beforeSend: beforeSend }).then(function() {
+          jQuery.ajax.lastCall.args[0].beforeSend(jqXHR);
+          jqXHR.setRequestHeader.called.should.be.true;
+          beforeSend.calledWith(jqXHR).should.be.true;
+        });
+      });
+
+      it('cancels a beforeSend given in the options by returning false', function() {
+        var beforeSend = sinon.spy();
+        var Cancelling = RestModel.extend().reopenClass({
+          getBeforeSend: function() {
+            return function() { return false; };
+          }
+        });
+
+        return Cancelling.ajax({ beforeSend: beforeSend }).then(function() {
+          jQuery.ajax.lastCall.args[0].beforeSend(jqXHR).should.be.false;
+          beforeSend.called.should.be.false;
+        });
+      });
+    });
   });
 
   describe('::all', function() {
@@ -585,61 +898,2762 @@ describe('RestModel', function() {
     });
   });
 
-  describe('::find', function() {
+  describe('query parameters', function() {
     beforeEach(function() {
       this.resolve = [];
     });
 
-    it('does a GET request', function() {
-      return Post.find(1).then(function() {
-        jQuery.ajax.lastCall.args[0].type.should.eql('GET');
+    it('adds the query to the ::all URL', function() {
+      return Post.all(null, { query: { state: 'up', owner: { id: 1 }, ids: [1, 2] } }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql(
+          '/posts?ids%5B%5D=1&ids%5B%5D=2&owner%5Bid%5D=1&state=up'
+        );
+        should(jQuery.ajax.lastCall.args[0].query).eql(undefined);
       });
     });
 
-    it('does a request to the base path with primary key', function() {
-      return Post.find(1).then(function() {
-        jQuery.ajax.lastCall.args[0].url.should.eql('/' + Post.base + '/1');
+    it('adds the sort to the ::all URL', function() {
+      return Comment.all({ post: 1 }, { sort: ['-created_at', 'name'] }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/posts/1/comments?sort=-created_at%2Cname');
       });
     });
 
-    it('accepts custom options', function() {
-      return Post.find(1, { url: '/posts/all' }).then(function() {
-        jQuery.ajax.lastCall.args[0].url.should.eql('/posts/all');
+    it('uses the class sortParam', function() {
+      var Model = Post.extend().reopenClass({ sortParam: 'order' });
+
+      return Model.all(null, { sort: 'name' }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/posts?order=name');
       });
     });
 
-    it('resolves with a deserialized instance', function() {
-      this.resolve = { name: 'foo' };
-      return Post.find(1).then(function(instance) {
-        instance.get('name').should.eql('foo');
+    it('adds the query to the ::find URL', function() {
+      this.resolve = { id: 1 };
+
+      return Post.find(1, { query: { embed: 'owner' } }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/posts/1?embed=owner');
       });
     });
 
-    context('when the model requires parents', function() {
-      context('when given parents', function() {
-        it('uses the parents to build the path', function() {
-          return Comment.find({ post: 1 }, 2).then(function() {
-            jQuery.ajax.lastCall.args[0].url.should.eql('/posts/1/comments/2');
-          });
+    it('adds the query to a custom URL', function() {
+      return Post.all(null, { url: '/posts/all?a=1', query: { b: 2 } }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/posts/all?a=1&b=2');
+      });
+    });
+
+    it('keeps applying the class filters', function() {
+      var Model = Post.extend().reopenClass({
+        filters: [function(post) {
+          return post.get('name') !== 'hidden';
+        }]
+      });
+
+      this.resolve = [{ name: 'shown' }, { name: 'hidden' }];
+
+      return Model.all(null, { query: { state: 'up' } }).then(function(posts) {
+        posts.length.should.eql(1);
+        posts[0].get('name').should.eql('shown');
+      });
+    });
+
+    it('makes the query part of the conditional request cache key', function() {
+      var Polled = Post.extend().reopenClass({
+        typeKey            : 'query-post',
+        conditionalRequests: true
+      });
+
+      this.responseHeaders = 'ETag: "v1"';
+
+      return Polled.all(null, { query: { state: 'up' } }).then(function() {
+        return Polled.all(null, { query: { state: 'down' } });
+      }).then(function() {
+        should(jQuery.ajax.lastCall.args[0].headers).eql(undefined);
+        return Polled.all(null, { query: { state: 'up' } });
+      }).then(function() {
+        jQuery.ajax.lastCall.args[0].headers['If-None-Match'].should.eql('"v1"');
+        Polled.clearCache();
+      });
+    });
+  });
+
+  describe('serializers', function() {
+    var Person;
+
+    before(function() {
+      Person = RestModel.extend({
+        attrs: Ember.computed(function() {
+          return ['name', { born: 'date' }];
+        })
+      }).reopenClass({
+        typeKey   : 'person',
+        base      : 'people',
+        serializer: 'jsonApi',
+        bulkPath  : ''
+      });
+    });
+
+    afterEach(function() {
+      Person.clearCache();
+    });
+
+    it('normalizes fetched records before deserializing them', function() {
+      this.resolve = {
+        data: { type: 'person', id: '1', attributes: { name: 'Ada', born: '1815-12-10' } }
+      };
+
+      return Person.find(1).then(function(person) {
+        person.get('id').should.eql('1');
+        person.get('name').should.eql('Ada');
+        person.get('born').should.be.an.instanceOf(Date);
+      });
+    });
+
+    it('normalizes arrays of records', function() {
+      this.resolve = { data: [{ id: '1', attributes: { name: 'Ada' } }] };
+
+      return Person.all().then(function(people) {
+        people[0].get('name').should.eql('Ada');
+      });
+    });
+
+    it('serializes saved records', function() {
+      this.resolve = { data: { id: '1', attributes: { name: 'Grace' } } };
+
+      var person = Person.create({ id: '1', name: 'Grace' });
+
+      return person.save().then(function() {
+        var args = jQuery.ajax.lastCall.args[0];
+        args.contentType.should.eql('application/vnd.api+json');
+        JSON.parse(args.data).should.eql({
+          data: { type: 'person', id: '1', attributes: { name: 'Grace', born: null } }
         });
+        person.get('isDirty').should.be.false;
+      });
+    });
 
-        it('adds the parents to the result', function() {
-          this.resolve = [{ id: 1 }];
+    it('serializes records saved in bulk', function() {
+      this.resolve = { data: [{ id: '1', attributes: { name: 'Grace' } }] };
 
-          return Comment.find({ post: 5 }, 1).then(function(comment) {
-            comment.get('post').should.eql(5);
-          });
+      return Person.saveAll([Person.create({ id: '1', name: 'Grace' })]).then(function() {
+        JSON.parse(jQuery.ajax.lastCall.args[0].data).data[0].should.eql({
+          type: 'person', id: '1', attributes: { name: 'Grace', born: null }
         });
       });
+    });
 
-      context('when not given parents', function() {
-        it('throws an error', function() {
-          (function() {
-            Comment.find(1);
-          }).should.throw('No primary key found for parent "post".');
+    it('accepts a serializer instance', function() {
+      var Klass = RestModel.extend({ attrs: ['name'] }).reopenClass({
+        base      : 'apps',
+        serializer: RestModel.serializers.envelope.create({ root: 'app' })
+      });
+
+      this.resolve = { app: { id: 1, name: 'foo' } };
+
+      return Klass.find(1).then(function(app) {
+        app.get('name').should.eql('foo');
+        app.serialize().should.eql('{"app":{"name":"foo"}}');
+      });
+    });
+
+    it('creates a named serializer once per class', function() {
+      var Child = Person.extend();
+      var serializer = Person.getSerializer();
+
+      Person.getSerializer().should.equal(serializer);
+      serializer.should.be.an.instanceOf(RestModel.serializers.jsonApi);
+      Child.getSerializer().should.equal(Child.getSerializer());
+      Child.getSerializer().should.not.equal(serializer);
+    });
+
+    it('creates a new serializer when the name changes', function() {
+      var Klass = RestModel.extend();
+      var serializer = Klass.getSerializer();
+
+      Klass.reopenClass({ serializer: 'envelope' });
+      Klass.getSerializer().should.be.an.instanceOf(RestModel.serializers.envelope);
+      Klass.getSerializer().should.not.equal(serializer);
+    });
+
+    it('throws an error for an unknown serializer', function() {
+      var Klass = RestModel.extend().reopenClass({ serializer: 'xml' });
+
+      (function() {
+        Klass.getSerializer();
+      }).should.throw('No serializer named "xml".');
+    });
+  });
+
+  describe('key transforms', function() {
+    var Build, build;
+
+    before(function() {
+      Build = RestModel.extend({
+        attrs: Ember.computed(function() {
+          return ['sourceBlob', 'outputStreamUrl', { createdAt: 'date' }];
+        })
+      }).reopenClass({
+        typeKey     : 'key-build',
+        base        : 'builds',
+        keyTransform: 'snakeCase'
+      });
+    });
+
+    beforeEach(function() {
+      this.resolve = {
+        id               : 1,
+        source_blob      : { url: 'https://example.com', checksum_type: 'sha256' },
+        output_stream_url: 'https://example.com/stream',
+        created_at       : '2016-01-01T00:00:00.000Z',
+        lines            : [{ line_number: 1 }]
+      };
+
+      return Build.find(1).then(function(result) {
+        build = result;
+      });
+    });
+
+    afterEach(function() {
+      Build.clearCache();
+    });
+
+    it('deserializes keys into client-side names', function() {
+      build.get('outputStreamUrl').should.eql('https://example.com/stream');
+      build.get('createdAt').toISOString().should.eql('2016-01-01T00:00:00.000Z');
+    });
+
+    it('deserializes the keys of nested objects', function() {
+      build.get('sourceBlob').should.eql({ url: 'https://example.com', checksumType: 'sha256' });
+      build.get('lines').should.eql([{ lineNumber: 1 }]);
+    });
+
+    it('serializes client-side names into keys', function() {
+      build.set('sourceBlob.checksumType', 'md5');
+
+      return build.save().then(function() {
+        JSON.parse(jQuery.ajax.lastCall.args[0].data).should.eql({
+          source_blob      : { url: 'https://example.com', checksum_type: 'md5' },
+          output_stream_url: 'https://example.com/stream',
+          created_at       : '2016-01-01T00:00:00.000Z'
         });
       });
     });
+
+    it('tracks changes in client-side names', function() {
+      build.get('isDirty').should.be.false;
+      build.set('sourceBlob.checksumType', 'md5');
+      build.get('dirtyProperties').should.eql(['sourceBlob']);
+      build.changedAttributes().should.eql({ 'sourceBlob.checksumType': ['sha256', 'md5'] });
+    });
+
+    it('reverts in client-side names', function() {
+      build.set('outputStreamUrl', null);
+      build.revert();
+      build.get('outputStreamUrl').should.eql('https://example.com/stream');
+    });
+
+    it('deserializes the attribute names of validation errors', function() {
+      this.reject = {
+        status      : 422,
+        responseJSON: { errors: [{ field: 'source_blob', message: 'is invalid' }] }
+      };
+
+      return build.save().then(null, function() {
+        build.get('errors').should.eql({ sourceBlob: ['is invalid'] });
+      });
+    });
+
+    it('accepts a custom key transform', function() {
+      var Klass = RestModel.extend({ attrs: ['name'] }).reopenClass({
+        base        : 'apps',
+        keyTransform: {
+          serialize  : function(key) { return key.toUpperCase(); },
+          deserialize: function(key) { return key.toLowerCase(); }
+        }
+      });
+
+      this.resolve = { ID: 1, NAME: 'foo' };
+
+      return Klass.find(1).then(function(app) {
+        app.get('name').should.eql('foo');
+        app.serialize().should.eql('{"NAME":"foo"}');
+      });
+    });
+
+    it('throws an error for an unknown key transform', function() {
+      var Klass = RestModel.extend().reopenClass({ keyTransform: 'shouting' });
+
+      (function() {
+        Klass.getKeyTransform();
+      }).should.throw('No key transform named "shouting".');
+    });
+  });
+
+  describe('hosts', function() {
+    var Addon;
+
+    before(function() {
+      Addon = RestModel.extend().reopenClass({
+        typeKey  : 'host-addon',
+        namespace: 'v1',
+        base     : 'apps/:app/addons',
+        host     : 'https://api.example.com/'
+      });
+    });
+
+    beforeEach(function() {
+      this.resolve = {};
+    });
+
+    afterEach(function() {
+      RestModel.reopenClass({ host: null });
+      Addon.clearCache();
+    });
+
+    it('requests root-relative paths as they are without a host', function() {
+      return Post.find(1).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/posts/1');
+      });
+    });
+
+    it('prefixes paths with the class host', function() {
+      return Addon.find({ app: 1 }, 2).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('https://api.example.com/v1/apps/1/addons/2');
+      });
+    });
+
+    it('keeps the path of records root-relative', function() {
+      Addon.create({ id: 2, app: 1 }).get('path').should.eql('/v1/apps/1/addons/2');
+    });
+
+    it('uses the host of RestModel for classes without their own', function() {
+      RestModel.reopenClass({ host: 'https://staging.example.com' });
+
+      return Post.find(1).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('https://staging.example.com/posts/1');
+        return Addon.find({ app: 1 }, 2);
+      }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('https://api.example.com/v1/apps/1/addons/2');
+      });
+    });
+
+    it('accepts a host for a single request', function() {
+      return Addon.all({ app: 1 }, { host: 'http://localhost:5000' }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('http://localhost:5000/v1/apps/1/addons');
+        should(jQuery.ajax.lastCall.args[0].host).be.undefined;
+      });
+    });
+
+    it('resolves a host function at request time', function() {
+      var env  = 'staging';
+      var host = sinon.spy(function() { return `https://${env}.example.com`; });
+
+      return Post.find(1, { host: host }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('https://staging.example.com/posts/1');
+        host.lastCall.args[0].type.should.eql('GET');
+        env = 'production';
+        return Post.find(2, { host: host });
+      }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('https://production.example.com/posts/2');
+      });
+    });
+
+    it('does not prefix absolute URLs', function() {
+      return Addon.ajax({ url: 'https://other.example.com/addons' }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('https://other.example.com/addons');
+      });
+    });
+
+    it('is stripped by the mock server', function() {
+      var server = RestModel.MockServer.create();
+      server.seed(Addon, { app: 1 }, [{ id: 2 }]);
+      Addon.reopenClass({ adapter: server });
+
+      return Addon.find({ app: 1 }, 2).then(function(addon) {
+        addon.get('id').should.eql(2);
+        server.get('requests')[0].url.should.eql('https://api.example.com/v1/apps/1/addons/2');
+      }).finally(function() {
+        Addon.reopenClass({ adapter: RestModel.adapter });
+      });
+    });
+  });
+
+  describe('::all pagination', function() {
+    var Paged, adapter, responses;
+
+    function respond(data, headers) {
+      responses.push({ data: data, status: 206, headers: headers || {} });
+    }
+
+    beforeEach(function() {
+      responses = [];
+      adapter   = {
+        request: sinon.spy(function() {
+          return Ember.RSVP.resolve(responses.shift());
+        })
+      };
+
+      Paged = Comment.extend().reopenClass({
+        adapter   : adapter,
+        pagination: 'range'
+      });
+
+      respond([{ id: 1 }, { id: 2 }], { 'next-range': ']2..; max=2' });
+      respond([{ id: 3 }]);
+    });
+
+    it('fetches every page by default', function() {
+      return Paged.all({ post: 1 }).then(function(comments) {
+        comments.map(function(comment) {
+          return comment.get('id');
+        }).should.eql([1, 2, 3]);
+        adapter.request.callCount.should.eql(2);
+      });
+    });
+
+    it('sends the Next-Range of the previous page as the Range', function() {
+      return Paged.all({ post: 1 }).then(function() {
+        adapter.request.lastCall.args[0].headers.Range.should.eql(']2..; max=2');
+        adapter.request.lastCall.args[0].url.should.eql('/posts/1/comments');
+      });
+    });
+
+    it('adds the parents to the records of every page', function() {
+      return Paged.all({ post: 5 }).then(function(comments) {
+        comments[2].get('post').should.eql(5);
+      });
+    });
+
+    it('makes a single request with paginate: false', function() {
+      return Paged.all({ post: 1 }, { paginate: false }).then(function(comments) {
+        comments.length.should.eql(2);
+        should(adapter.request.lastCall.args[0].paginate).eql(undefined);
+      });
+    });
+
+    it('resolves with a page with paginate: \'page\'', function() {
+      return Paged.all({ post: 1 }, { paginate: 'page' }).then(function(page) {
+        page.get('records').length.should.eql(2);
+        page.get('hasMore').should.be.true;
+        return page.next();
+      }).then(function(page) {
+        page.get('records')[0].get('id').should.eql(3);
+        page.get('records')[0].get('post').should.eql(1);
+        page.get('hasMore').should.be.false;
+        return page.next();
+      }).then(function(page) {
+        should(page).eql(null);
+      });
+    });
+
+    it('follows Link headers', function() {
+      responses = [];
+      respond([{ id: 1 }], { link: '</posts/1/comments?page=2>; rel="next", </posts/1/comments?page=9>; rel="last"' });
+      respond([{ id: 2 }]);
+      Paged.reopenClass({ pagination: 'link' });
+
+      return Paged.all({ post: 1 }).then(function(comments) {
+        comments.length.should.eql(2);
+        adapter.request.lastCall.args[0].url.should.eql('/posts/1/comments?page=2');
+      });
+    });
+
+    it('supports cursors', function() {
+      responses = [];
+      respond([{ id: 1 }], { 'next-cursor': 'abc' });
+      respond([{ id: 2 }]);
+      Paged.reopenClass({ pagination: RestModel.paginationStrategies.cursor() });
+
+      return Paged.all({ post: 1 }).then(function(comments) {
+        comments.length.should.eql(2);
+        adapter.request.lastCall.args[0].data.should.eql({ cursor: 'abc' });
+      });
+    });
+
+    it('supports custom strategies', function() {
+      Paged.reopenClass({
+        pagination: {
+          nextRequest: function(response, options) {
+            return response.data.length === 2 ? utils.extend({ page: 2 }, options) : null;
+          }
+        }
+      });
+
+      return Paged.all({ post: 1 }).then(function() {
+        adapter.request.lastCall.args[0].page.should.eql(2);
+      });
+    });
+
+    it('throws an error for an unknown strategy name', function() {
+      Paged.reopenClass({ pagination: 'unknown' });
+
+      (function() {
+        Paged.all({ post: 1 });
+      }).should.throw('No pagination strategy named "unknown".');
+    });
+  });
+
+  describe('::find', function() {
+    beforeEach(function() {
+      this.resolve = [];
+    });
+
+    it('does a GET request', function() {
+      return Post.find(1).then(function() {
+        jQuery.ajax.lastCall.args[0].type.should.eql('GET');
+      });
+    });
+
+    it('does a request to the base path with primary key', function() {
+      return Post.find(1).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/' + Post.base + '/1');
+      });
+    });
+
+    it('accepts custom options', function() {
+      return Post.find(1, { url: '/posts/all' }).then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/posts/all');
+      });
+    });
+
+    it('resolves with a deserialized instance', function() {
+      this.resolve = { name: 'foo' };
+      return Post.find(1).then(function(instance) {
+        instance.get('name').should.eql('foo');
+      });
+    });
+
+    context('when the model requires parents', function() {
+      context('when given parents', function() {
+        it('uses the parents to build the path', function() {
+          return Comment.find({ post: 1 }, 2).then(function() {
+            jQuery.ajax.lastCall.args[0].url.should.eql('/posts/1/comments/2');
+          });
+        });
+
+        it('adds the parents to the result', function() {
+          this.resolve = [{ id: 1 }];
+
+          return Comment.find({ post: 5 }, 1).then(function(comment) {
+            comment.get('post').should.eql(5);
+          });
+        });
+      });
+
+      context('when not given parents', function() {
+        it('throws an error', function() {
+          (function() {
+            Comment.find(1);
+          }).should.throw('No primary key found for parent "post".');
+        });
+      });
+    });
+  });
+
+  describe('actions', function() {
+    var Dyno, dyno;
+
+    before(function() {
+      Dyno = RestModel.extend({
+        attrs: ['state']
+      }).reopenClass({
+        typeKey: 'action-dyno',
+        base   : 'apps/:app/dynos',
+        actions: {
+          restart: { method: 'POST', on: 'member', path: 'actions/restart' },
+          logs   : { method: 'GET', load: false, flag: 'loadingLogs' },
+          stop   : { method: 'POST', on: 'collection', path: 'actions/stop' },
+          search : { method: 'GET', on: 'collection' }
+        }
+      });
+    });
+
+    beforeEach(function() {
+      dyno = Dyno.create({ id: 2, app: 1, state: 'crashed' });
+    });
+
+    afterEach(function() {
+      Dyno.clearCache();
+    });
+
+    it('throws an error for an action that is neither on a member nor a collection', function() {
+      (function() {
+        RestModel.extend().reopenClass({ actions: { restart: { on: 'record' } } });
+      }).should.throw('Action "restart" must be on "member" or "collection".');
+    });
+
+    it('keeps the declared actions', function() {
+      Dyno.actions.restart.path.should.eql('actions/restart');
+    });
+
+    context('on a member', function() {
+      it('requests the action path under the record path', function() {
+        this.resolve = {};
+
+        return dyno.restart().then(function() {
+          var args = jQuery.ajax.lastCall.args[0];
+          args.type.should.eql('POST');
+          args.url.should.eql('/apps/1/dynos/2/actions/restart');
+        });
+      });
+
+      it('defaults to a POST to the name of the action', function() {
+        var Klass = RestModel.extend().reopenClass({
+          base   : 'apps',
+          actions: { restart: {} }
+        });
+
+        this.resolve = {};
+
+        return Klass.create({ id: 1 }).restart().then(function() {
+          var args = jQuery.ajax.lastCall.args[0];
+          args.type.should.eql('POST');
+          args.url.should.eql('/apps/1/restart');
+        });
+      });
+
+      it('sends its data as JSON', function() {
+        this.resolve = {};
+
+        return dyno.restart({ data: { force: true } }).then(function() {
+          jQuery.ajax.lastCall.args[0].data.should.eql('{"force":true}');
+        });
+      });
+
+      it('adds its query to the URL', function() {
+        this.resolve = {};
+
+        return dyno.logs({ query: { lines: 10 } }).then(function() {
+          jQuery.ajax.lastCall.args[0].url.should.eql('/apps/1/dynos/2/logs?lines=10');
+        });
+      });
+
+      it('temporarily sets the performing and inFlight properties', function() {
+        this.resolve = {};
+
+        var promise = dyno.restart();
+        dyno.get('isPerforming').should.be.true;
+        dyno.get('inFlight').should.be.true;
+
+        return promise.then(function() {
+          dyno.get('isPerforming').should.be.false;
+          dyno.get('inFlight').should.be.false;
+        });
+      });
+
+      it('temporarily sets a declared flag', function() {
+        this.resolve = 'line 1';
+
+        var promise = dyno.logs();
+        dyno.get('isLoadingLogs').should.be.true;
+
+        return promise.then(function() {
+          dyno.get('isLoadingLogs').should.be.false;
+        });
+      });
+
+      it('loads the response into the record', function() {
+        this.resolve = { id: 2, state: 'starting' };
+
+        return dyno.restart().then(function(result) {
+          result.should.equal(dyno);
+          dyno.get('state').should.eql('starting');
+          dyno.get('isDirty').should.be.false;
+        });
+      });
+
+      it('resolves with the record without a response body', function() {
+        return dyno.restart().then(function(result) {
+          result.should.equal(dyno);
+          dyno.get('state').should.eql('crashed');
+        });
+      });
+
+      it('resolves with the response data when it does not load it', function() {
+        this.resolve = { lines: ['line 1'] };
+
+        return dyno.logs().then(function(result) {
+          result.should.eql({ lines: ['line 1'] });
+          dyno.get('state').should.eql('crashed');
+        });
+      });
+
+      it('resolves with the body of another resource without loading it', function() {
+        this.resolve = { id: 99, status: 'queued' };
+        Dyno.cacheRecord(dyno);
+
+        return dyno.restart().then(function(result) {
+          result.should.eql({ id: 99, status: 'queued' });
+          dyno.get('id').should.eql(2);
+          Dyno.peek({ app: 1 }, 2).should.equal(dyno);
+          should(Dyno.peek({ app: 1 }, 99)).eql(undefined);
+        });
+      });
+
+      it('records a failure on the record', function() {
+        this.reject = { responseJSON: { message: 'Dyno not found' } };
+
+        return dyno.restart().catch(function(error) {
+          error.message.should.eql('Dyno not found');
+          dyno.get('isError').should.be.true;
+        });
+      });
+
+      context('from the class', function() {
+        it('requests the action path under the record path', function() {
+          this.resolve = { id: 2, state: 'starting' };
+
+          return Dyno.restart({ app: 1 }, 2).then(function(result) {
+            jQuery.ajax.lastCall.args[0].url.should.eql('/apps/1/dynos/2/actions/restart');
+            result.should.be.an.instanceOf(Dyno);
+            result.get('state').should.eql('starting');
+            result.get('app').should.eql(1);
+          });
+        });
+
+        it('goes through the identity map', function() {
+          this.resolve = { id: 2, state: 'starting' };
+          Dyno.cacheRecord(dyno);
+
+          return Dyno.restart({ app: 1 }, 2).then(function(result) {
+            result.should.equal(dyno);
+          });
+        });
+
+        it('resolves with the body of another resource without loading it', function() {
+          this.resolve = { id: 99, status: 'queued' };
+
+          return Dyno.restart({ app: 1 }, 2).then(function(result) {
+            result.should.eql({ id: 99, status: 'queued' });
+            should(Dyno.peek({ app: 1 }, 99)).eql(undefined);
+          });
+        });
+
+        it('accepts request options', function() {
+          this.resolve = {};
+
+          return Dyno.restart({ app: 1 }, 2, { data: { force: true } }).then(function() {
+            jQuery.ajax.lastCall.args[0].data.should.eql('{"force":true}');
+          });
+        });
+      });
+    });
+
+    context('on a collection', function() {
+      it('requests the action path under the collection path', function() {
+        this.resolve = [];
+
+        return Dyno.stop({ app: 1 }).then(function() {
+          var args = jQuery.ajax.lastCall.args[0];
+          args.type.should.eql('POST');
+          args.url.should.eql('/apps/1/dynos/actions/stop');
+        });
+      });
+
+      it('does not define an instance method', function() {
+        should(dyno.stop).be.undefined;
+      });
+
+      it('resolves with records', function() {
+        this.resolve = [{ id: 2, state: 'up' }, { id: 3, state: 'up' }];
+
+        return Dyno.search({ app: 1 }, { query: { state: 'up' } }).then(function(dynos) {
+          jQuery.ajax.lastCall.args[0].url.should.eql('/apps/1/dynos/search?state=up');
+          dynos.length.should.eql(2);
+          dynos[1].should.be.an.instanceOf(Dyno);
+          dynos[1].get('path').should.eql('/apps/1/dynos/3');
+        });
+      });
+    });
+  });
+
+  describe('composite primary keys', function() {
+    var Addon;
+
+    before(function() {
+      Addon = RestModel.extend({
+        attrs: ['plan']
+      }).reopenClass({
+        typeKey     : 'composite-addon',
+        base        : 'apps/:app_id/addons',
+        compositeKey: '/apps/:app_id/addons/:name'
+      });
+    });
+
+    afterEach(function() {
+      Addon.clearCache();
+    });
+
+    it('is new until every part of the key has a value', function() {
+      Addon.create({ app_id: 'my-app' }).get('isNew').should.be.true;
+      Addon.create({ app_id: 'my-app', name: 'redis' }).get('isNew').should.be.false;
+    });
+
+    it('builds the primary key from every part', function() {
+      Addon.create({ app_id: 'my-app', name: 'redis' }).get('primaryKey')
+        .should.eql('apps/my-app/addons/redis');
+    });
+
+    it('builds the path from the template', function() {
+      Addon.create({ app_id: 'my-app', name: 'redis' }).get('path')
+        .should.eql('/apps/my-app/addons/redis');
+    });
+
+    it('uses the base path under the parent for new records', function() {
+      Addon.create({ app_id: 'my-app' }).get('path').should.eql('/apps/my-app/addons');
+    });
+
+    it('creates a record under its parent', function() {
+      var addon = Addon.create({ app_id: 'my-app', plan: 'basic' });
+      this.resolve = { app_id: 'my-app', name: 'redis', plan: 'basic' };
+
+      return addon.save().then(function() {
+        var options = jQuery.ajax.lastCall.args[0];
+
+        options.type.should.eql('POST');
+        options.url.should.eql('/apps/my-app/addons');
+        addon.get('path').should.eql('/apps/my-app/addons/redis');
+        Addon.peek({ app_id: 'my-app', name: 'redis' }).should.equal(addon);
+      });
+    });
+
+    it('escapes the parts of the key', function() {
+      Addon.buildPath({}, { app_id: 'my app', name: 'a/b' })
+        .should.eql('/apps/my%20app/addons/a%2Fb');
+    });
+
+    it('sets the parts when the primary key is set to an object', function() {
+      var addon = Addon.create();
+      addon.set('primaryKey', { app_id: 'my-app', name: 'redis' });
+      addon.get('name').should.eql('redis');
+      addon.get('primaryKey').should.eql('apps/my-app/addons/redis');
+    });
+
+    it('finds a record by an object of key values', function() {
+      this.resolve = { app_id: 'my-app', name: 'redis', plan: 'premium' };
+
+      return Addon.find({ app_id: 'my-app', name: 'redis' }, { headers: { foo: 'bar' } })
+        .then(function(addon) {
+          var options = jQuery.ajax.lastCall.args[0];
+
+          options.url.should.eql('/apps/my-app/addons/redis');
+          options.headers.foo.should.eql('bar');
+          addon.get('plan').should.eql('premium');
+        });
+    });
+
+    it('caches records by their composite key', function() {
+      this.resolve = { app_id: 'my-app', name: 'redis' };
+
+      return Addon.find({ app_id: 'my-app', name: 'redis' }).then(function(addon) {
+        return Addon.find({ app_id: 'my-app', name: 'redis' }).then(function(found) {
+          found.should.equal(addon);
+          return addon;
+        });
+      }).then(function(addon) {
+        Addon.peek({ app_id: 'my-app', name: 'redis' }).should.equal(addon);
+        Addon.peek('apps/my-app/addons/redis').should.equal(addon);
+        should(Addon.peek({ app_id: 'other', name: 'redis' })).eql(undefined);
+
+        Addon.evict({ app_id: 'my-app', name: 'redis' });
+        should(Addon.peek('apps/my-app/addons/redis')).eql(undefined);
+      });
+    });
+
+    it('updates the cached record loaded with the same parts', function() {
+      var addon = Addon.load({ app_id: 'my-app', name: 'redis', plan: 'basic' });
+      Addon.load({ app_id: 'my-app', name: 'redis', plan: 'premium' }).should.equal(addon);
+      addon.get('plan').should.eql('premium');
+    });
+  });
+
+  describe('typed attributes', function() {
+    var Event, event;
+
+    before(function() {
+      Event = RestModel.extend({
+        attrs: Ember.computed(function() {
+          return ['name', {
+            starts_at: 'date',
+            capacity : 'number',
+            is_public: 'boolean',
+            state    : { type: 'enum', values: ['draft', 'published'] }
+          }];
+        })
+      }).reopenClass({
+        base: 'events'
+      });
+    });
+
+    beforeEach(function() {
+      event = Event.create(Event.deserialize({
+        name     : 'launch',
+        starts_at: '2016-01-01T00:00:00.000Z',
+        capacity : '100',
+        is_public: 'true',
+        state    : 'published'
+      }));
+    });
+
+    it('includes typed attributes in attrNames', function() {
+      event.get('attrNames').should.eql(['name', 'starts_at', 'capacity', 'is_public', 'state']);
+    });
+
+    describe('::deserialize', function() {
+      it('deserializes dates', function() {
+        event.get('starts_at').should.be.an.instanceOf(Date);
+        event.get('starts_at').getTime().should.eql(Date.UTC(2016, 0, 1));
+      });
+
+      it('deserializes numbers', function() {
+        event.get('capacity').should.eql(100);
+      });
+
+      it('deserializes booleans', function() {
+        event.get('is_public').should.be.true;
+      });
+
+      it('deserializes enums, discarding unknown values', function() {
+        event.get('state').should.eql('published');
+        should(Event.deserialize({ state: 'unknown' }).state).eql(null);
+      });
+
+      it('leaves untyped and missing attributes alone', function() {
+        Event.deserialize({ name: 'foo' }).should.eql({ name: 'foo' });
+      });
+
+      it('is applied to ::find responses', function() {
+        this.resolve = { starts_at: '2016-01-01T00:00:00.000Z' };
+
+        return Event.find(1).then(function(event) {
+          event.get('starts_at').should.be.an.instanceOf(Date);
+        });
+      });
+    });
+
+    describe('#toObject', function() {
+      it('serializes typed attributes', function() {
+        event.toObject().should.eql({
+          name     : 'launch',
+          starts_at: '2016-01-01T00:00:00.000Z',
+          capacity : 100,
+          is_public: true,
+          state    : 'published'
+        });
+      });
+    });
+
+    describe('.dirtyProperties', function() {
+      it('compares dates by time value', function() {
+        event.set('starts_at', new Date(Date.UTC(2016, 0, 1)));
+        event.get('dirtyProperties').should.eql([]);
+      });
+
+      it('includes changed dates', function() {
+        event.set('starts_at', new Date(Date.UTC(2016, 0, 2)));
+        event.get('dirtyProperties').should.eql(['starts_at']);
+      });
+    });
+
+    describe('#revert', function() {
+      it('reverts typed attributes', function() {
+        event.set('starts_at', new Date(Date.UTC(2016, 0, 2)));
+        event.revert();
+        event.get('starts_at').getTime().should.eql(Date.UTC(2016, 0, 1));
+      });
+    });
+
+    describe('::registerTransform', function() {
+      afterEach(function() {
+        delete RestModel.transforms.cents;
+      });
+
+      it('makes a custom transform available', function() {
+        RestModel.registerTransform('cents', {
+          deserialize: function(value) { return value / 100; },
+          serialize  : function(value) { return value * 100; }
+        });
+
+        var Product = RestModel.extend({
+          attrs: Ember.computed(function() {
+            return [{ price: 'cents' }];
+          })
+        });
+
+        Product.deserialize({ price: 150 }).price.should.eql(1.5);
+        Product.create({ price: 1.5 }).toObject().price.should.eql(150);
+      });
+    });
+
+    it('throws an error for an unknown type', function() {
+      var Model = RestModel.extend({
+        attrs: Ember.computed(function() {
+          return [{ foo: 'unknown' }];
+        })
+      });
+
+      (function() {
+        Model.deserialize({ foo: 'bar' });
+      }).should.throw('No transform registered for type "unknown".');
+    });
+  });
+
+  describe('embedded records', function() {
+    var Owner, Project, Tag, project;
+
+    before(function() {
+      Owner = RestModel.extend({
+        attrs: ['email', { joined_at: 'date' }]
+      }).reopenClass({
+        typeKey: 'embedded-owner',
+        base   : 'owners'
+      });
+
+      Tag = RestModel.extend({
+        attrs: ['label']
+      }).reopenClass({
+        base: 'tags'
+      });
+
+      Project = RestModel.extend({
+        attrs: ['name', {
+          owner: { type: 'model', model: Owner },
+          tags : { type: 'model', model: function() { return Tag; }, serializeAs: 'id' }
+        }]
+      }).reopenClass({
+        base: 'projects'
+      });
+    });
+
+    beforeEach(function() {
+      project = Project.create(Project.deserialize({
+        id   : 1,
+        name : 'launch',
+        owner: { id: 2, email: 'a@example.com', joined_at: '2016-01-01T00:00:00.000Z' },
+        tags : [{ id: 3, label: 'foo' }, { id: 4, label: 'bar' }]
+      }));
+    });
+
+    afterEach(function() {
+      Owner.clearCache();
+    });
+
+    it('deserializes embedded objects into records of the model', function() {
+      project.get('owner').should.be.an.instanceOf(Owner);
+      project.get('owner.email').should.eql('a@example.com');
+      project.get('owner.isDirty').should.be.false;
+    });
+
+    it('deserializes with the model class', function() {
+      project.get('owner.joined_at').should.be.an.instanceOf(Date);
+    });
+
+    it('deserializes arrays of embedded objects', function() {
+      project.get('tags').length.should.eql(2);
+      project.get('tags')[1].should.be.an.instanceOf(Tag);
+      project.get('tags')[1].get('label').should.eql('bar');
+    });
+
+    it('loads embedded records into the identity map of the model', function() {
+      Owner.peek(2).should.equal(project.get('owner'));
+    });
+
+    it('serializes embedded records as objects by default', function() {
+      project.toObject(['owner']).owner.should.eql({
+        id       : 2,
+        email    : 'a@example.com',
+        joined_at: '2016-01-01T00:00:00.000Z'
+      });
+    });
+
+    it('serializes embedded records as primary keys', function() {
+      project.toObject(['tags']).tags.should.eql([{ id: 3 }, { id: 4 }]);
+    });
+
+    it('is applied to ::find responses', function() {
+      this.resolve = { id: 1, owner: { id: 2, email: 'b@example.com' } };
+
+      return Project.find(1).then(function(project) {
+        project.get('owner').should.equal(Owner.peek(2));
+        project.get('owner.email').should.eql('b@example.com');
+        project.get('isDirty').should.be.false;
+      });
+    });
+
+    it('shares identical concurrent requests', function() {
+      this.resolve = { id: 1, owner: { id: 2, email: 'b@example.com' } };
+
+      return Ember.RSVP.all([Project.find(1), Project.find(1)]).then(function(projects) {
+        jQuery.ajax.callCount.should.eql(1);
+        projects[1].get('owner').should.equal(Owner.peek(2));
+      });
+    });
+
+    it('resolves conditional requests with the remembered records', function() {
+      Project.reopenClass({ typeKey: 'embedded-project', conditionalRequests: true });
+      this.resolve         = { id: 1, owner: { id: 2, email: 'b@example.com' } };
+      this.responseHeaders = 'ETag: "v1"';
+
+      return Project.find(1).then(function() {
+        this.status = 304;
+        return Project.find(1);
+      }.bind(this)).then(function(project) {
+        project.get('owner').should.equal(Owner.peek(2));
+        project.get('isDirty').should.be.false;
+      }).finally(function() {
+        Project.clearCache();
+        Project.reopenClass({ typeKey: '', conditionalRequests: false });
+      });
+    });
+
+    it('tracks replaced embedded records as dirty', function() {
+      project.set('owner', Owner.create({ id: 5 }));
+      project.get('dirtyProperties').should.eql(['owner']);
+    });
+
+    it('reverts to the original embedded records', function() {
+      var owner = project.get('owner');
+
+      project.set('owner', Owner.create({ id: 5 }));
+      project.set('tags', project.get('tags').slice(0, 1));
+      project.get('dirtyProperties').should.eql(['owner', 'tags']);
+      project.revert();
+
+      project.get('owner').should.equal(owner);
+      project.get('tags').length.should.eql(2);
+      project.get('isDirty').should.be.false;
+    });
+  });
+
+  describe('validation', function() {
+    var User, user;
+
+    before(function() {
+      User = RestModel.extend({
+        attrs: Ember.computed(function() {
+          return ['name', 'email', 'age'];
+        }),
+
+        validations: Ember.computed(function() {
+          return {
+            name : { presence: true, length: { max: 5, message: 'is too long' } },
+            email: { format: /@/ },
+            age  : {
+              numericality: { integer: true },
+              custom      : function(value, record) {
+                if (value > 100 && record.get('name') !== 'old') {
+                  return 'is unlikely';
+                }
+              }
+            }
+          };
+        })
+      }).reopenClass({
+        base: 'users'
+      });
+    });
+
+    beforeEach(function() {
+      user = User.create({ name: 'jon', email: 'jon@example.com', age: 30 });
+    });
+
+    it('has no errors initially', function() {
+      user.get('errors').should.eql({});
+      user.get('isValid').should.be.true;
+    });
+
+    describe('#validate', function() {
+      it('returns true for a valid record', function() {
+        user.validate().should.be.true;
+      });
+
+      it('sets the errors of an invalid record', function() {
+        user.setProperties({ name: '', email: 'invalid', age: 1.5 });
+        user.validate().should.be.false;
+        user.get('isValid').should.be.false;
+        user.get('errors').should.eql({
+          name : ['can\'t be blank'],
+          email: ['is invalid'],
+          age  : ['must be an integer']
+        });
+      });
+
+      it('uses custom messages', function() {
+        user.set('name', 'jonathan');
+        user.validate();
+        user.get('errors.name').should.eql(['is too long']);
+      });
+
+      it('runs custom validator functions with the record', function() {
+        user.set('age', 101);
+        user.validate();
+        user.get('errors.age').should.eql(['is unlikely']);
+      });
+
+      it('clears errors once the record is valid', function() {
+        user.set('name', '');
+        user.validate();
+        user.set('name', 'jon');
+        user.validate();
+        user.get('errors').should.eql({});
+      });
+
+      it('throws an error for an unknown validator', function() {
+        var Model = RestModel.extend({
+          validations: { name: { unknown: true } }
+        });
+
+        (function() {
+          Model.create().validate();
+        }).should.throw('No validator registered with name "unknown".');
+      });
+    });
+
+    describe('#save', function() {
+      beforeEach(function() {
+        this.resolve = { id: 1 };
+      });
+
+      it('rejects with a ValidationError without a request when invalid', function() {
+        user.set('name', '');
+
+        return user.save().then(function() {
+          throw new Error('Expected a rejection');
+        }, function(error) {
+          error.should.be.an.instanceOf(RestModel.ValidationError);
+          error.errors.should.eql({ name: ['can\'t be blank'] });
+          jQuery.ajax.called.should.be.false;
+          should(user.get('isSaving')).not.be.ok;
+        });
+      });
+
+      it('saves when valid', function() {
+        return user.save().then(function() {
+          jQuery.ajax.called.should.be.true;
+        });
+      });
+
+      it('skips validation with the validate option', function() {
+        user.set('name', '');
+
+        return user.save({ validate: false }).then(function() {
+          jQuery.ajax.called.should.be.true;
+          should(jQuery.ajax.lastCall.args[0].validate).eql(undefined);
+        });
+      });
+    });
+
+    describe('::registerValidator', function() {
+      afterEach(function() {
+        delete RestModel.validators.lowercase;
+      });
+
+      it('makes a custom validator available', function() {
+        RestModel.registerValidator('lowercase', function(value) {
+          if (value !== value.toLowerCase()) {
+            return 'must be lowercase';
+          }
+        });
+
+        var Model = RestModel.extend({
+          validations: { name: { lowercase: true } }
+        });
+
+        var model = Model.create({ name: 'Jon' });
+        model.validate().should.be.false;
+        model.get('errors.name').should.eql(['must be lowercase']);
+      });
+    });
+  });
+
+  describe('lifecycle hooks', function() {
+    var Deploy, calls, deploy;
+
+    before(function() {
+      Deploy = RestModel.extend({
+        attrs: ['version', 'notes']
+      }).reopenClass({
+        typeKey: 'hook-deploy',
+        base   : 'deploys'
+      });
+    });
+
+    beforeEach(function() {
+      calls  = [];
+      deploy = Deploy.create({ id: 1, version: 'v1' });
+
+      ['Save', 'Delete', 'Fetch'].forEach(function(name) {
+        Deploy[`before${name}`] = function(record, options) {
+          calls.push([`::before${name}`, record, options]);
+        };
+        Deploy[`after${name}`] = function(record, response) {
+          calls.push([`::after${name}`, record, response]);
+        };
+        deploy[`before${name}`] = function(options) {
+          calls.push([`#before${name}`, options]);
+        };
+        deploy[`after${name}`] = function(response) {
+          calls.push([`#after${name}`, response]);
+        };
+      });
+    });
+
+    afterEach(function() {
+      ['Save', 'Delete', 'Fetch'].forEach(function(name) {
+        delete Deploy[`before${name}`];
+        delete Deploy[`after${name}`];
+      });
+
+      Deploy.clearCache();
+    });
+
+    function names() {
+      return calls.map(function(call) { return call[0]; });
+    }
+
+    it('calls the hooks of the class and then of the instance around a save', function() {
+      this.resolve = { id: 1, version: 'v2' };
+
+      return deploy.save().then(function(result) {
+        result.should.equal(deploy);
+        names().should.eql(['::beforeSave', '#beforeSave', '::afterSave', '#afterSave']);
+        calls[0][1].should.equal(deploy);
+        calls[0][2].url.should.eql('/deploys/1');
+        calls[3][1].data.should.eql({ id: 1, version: 'v2' });
+        calls[3][1].status.should.eql(200);
+      });
+    });
+
+    it('calls the hooks around a fetch once the record is loaded', function() {
+      this.resolve = { id: 1, version: 'v2' };
+
+      deploy.afterFetch = function(response) {
+        calls.push(['#afterFetch', this.get('version'), response]);
+      };
+
+      return deploy.fetch().then(function(result) {
+        result.should.equal(deploy);
+        names().should.eql(['::beforeFetch', '#beforeFetch', '::afterFetch', '#afterFetch']);
+        calls[3][1].should.eql('v2');
+      });
+    });
+
+    it('calls the hooks around a deletion', function() {
+      this.resolve = {};
+
+      return deploy.delete().then(function() {
+        names().should.eql(['::beforeDelete', '#beforeDelete', '::afterDelete', '#afterDelete']);
+      });
+    });
+
+    it('sends the request options modified by a before hook', function() {
+      this.resolve = {};
+
+      deploy.beforeSave = function(options) {
+        options.headers = { 'X-Reason': 'rollback' };
+      };
+
+      return deploy.save().then(function() {
+        jQuery.ajax.lastCall.args[0].headers['X-Reason'].should.eql('rollback');
+      });
+    });
+
+    it('sends the request options returned by a before hook', function() {
+      this.resolve = {};
+
+      Deploy.beforeFetch = function(record, options) {
+        return utils.extend({ url: '/deploys/1/latest' }, { type: options.type });
+      };
+
+      return deploy.fetch().then(function() {
+        jQuery.ajax.lastCall.args[0].url.should.eql('/deploys/1/latest');
+        calls[0][1].url.should.eql('/deploys/1/latest');
+      });
+    });
+
+    it('serializes the record after the before hooks', function() {
+      this.resolve = {};
+
+      deploy.beforeSave = function() {
+        this.set('notes', 'automatic');
+      };
+
+      return deploy.save().then(function() {
+        JSON.parse(jQuery.ajax.lastCall.args[0].data).notes.should.eql('automatic');
+      });
+    });
+
+    it('sends attributes changed by the before hooks in a partial update', function() {
+      this.resolve = { id: 1, version: 'v2', notes: 'automatic' };
+      deploy.set('version', 'v2');
+
+      deploy.beforeSave = function() {
+        this.set('notes', 'automatic');
+      };
+
+      return deploy.save({ partial: true }).then(function() {
+        JSON.parse(jQuery.ajax.lastCall.args[0].data)
+          .should.eql({ version: 'v2', notes: 'automatic' });
+        deploy.get('isClean').should.be.true;
+      });
+    });
+
+    it('saves a clean record changed by the before hooks in a partial update', function() {
+      this.resolve = { id: 1, version: 'v1', notes: 'automatic' };
+
+      deploy.beforeSave = function() {
+        this.set('notes', 'automatic');
+      };
+
+      return deploy.save({ partial: true }).then(function() {
+        JSON.parse(jQuery.ajax.lastCall.args[0].data).should.eql({ notes: 'automatic' });
+      });
+    });
+
+    it('skips the after hooks of a partial update with nothing to send', function() {
+      return deploy.save({ partial: true }).then(function(result) {
+        result.should.equal(deploy);
+        jQuery.ajax.called.should.be.false;
+        names().should.eql(['::beforeSave', '#beforeSave']);
+      });
+    });
+
+    it('cancels the operation when a before hook returns false', function() {
+      Deploy.cacheRecord(deploy);
+
+      deploy.beforeDelete = function() {
+        return Ember.RSVP.resolve(false);
+      };
+
+      return deploy.delete().then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.should.be.an.instanceOf(RestModel.CancellationError);
+        error.message.should.eql('The delete was cancelled.');
+        jQuery.ajax.called.should.be.false;
+        deploy.get('isError').should.be.false;
+        Deploy.peek(1).should.equal(deploy);
+      });
+    });
+
+    it('does not call the instance hook when the class hook cancels', function() {
+      Deploy.beforeSave = function() {
+        return false;
+      };
+
+      return deploy.save().catch(function() {
+        names().should.eql([]);
+      });
+    });
+
+    it('waits for hooks within the request bookkeeping', function() {
+      var resolveHook;
+
+      this.resolve = {};
+
+      deploy.beforeSave = function() {
+        return new Ember.RSVP.Promise(function(resolve) {
+          resolveHook = resolve;
+        });
+      };
+
+      var promise = deploy.save();
+
+      deploy.get('isSaving').should.be.true;
+      deploy.get('inFlight').should.be.true;
+      jQuery.ajax.called.should.be.false;
+
+      resolveHook();
+
+      return promise.then(function() {
+        jQuery.ajax.calledOnce.should.be.true;
+        deploy.get('inFlight').should.be.false;
+      });
+    });
+
+    it('records a failing after hook as the error of the operation', function() {
+      this.resolve = {};
+
+      deploy.afterSave = function() {
+        return Ember.RSVP.reject(new Error('Could not notify'));
+      };
+
+      return deploy.save().then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.message.should.eql('Could not notify');
+        deploy.get('lastError').should.equal(error);
+      });
+    });
+  });
+
+  describe('request errors', function() {
+    beforeEach(function() {
+      post.set('id', 1);
+      this.reject = {
+        status      : 422,
+        statusText  : 'Unprocessable Entity',
+        responseJSON: { message: 'Invalid post', errors: { name: ['is taken'] } }
+      };
+    });
+
+    it('rejects with a RequestError', function() {
+      return post.save().then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.should.be.an.instanceOf(RestModel.RequestError);
+        error.message.should.eql('Invalid post');
+        error.status.should.eql(422);
+        error.response.should.equal(this.reject);
+      }.bind(this));
+    });
+
+    it('sets the error state', function() {
+      return post.save().then(null, function(error) {
+        post.get('isError').should.be.true;
+        post.get('lastError').should.equal(error);
+      });
+    });
+
+    it('sets attribute errors of a 422 response', function() {
+      return post.save().then(null, function() {
+        post.get('errors').should.eql({ name: ['is taken'] });
+        post.get('isValid').should.be.false;
+      });
+    });
+
+    it('understands arrays of attribute errors', function() {
+      this.reject.responseJSON = { errors: [{ field: 'name', message: 'is taken' }] };
+
+      return post.save().then(null, function() {
+        post.get('errors').should.eql({ name: ['is taken'] });
+      });
+    });
+
+    it('does not set attribute errors of other responses', function() {
+      this.reject = { status: 404, responseText: '{"message":"Not found"}' };
+
+      return post.fetch().then(null, function(error) {
+        error.message.should.eql('Not found');
+        post.get('errors').should.eql({});
+        post.get('isError').should.be.true;
+      });
+    });
+
+    it('resets the error state on the next successful request', function() {
+      return post.save().then(null, function() {
+        this.reject  = null;
+        this.resolve = { id: 1 };
+        return post.save({ validate: false });
+      }.bind(this)).then(function() {
+        post.get('isError').should.be.false;
+        should(post.get('lastError')).eql(null);
+        post.get('errors').should.eql({});
+      });
+    });
+
+    it('uses the class parseError hook', function() {
+      var Model = Post.extend().reopenClass({
+        parseError: function(response) {
+          var error = this._super(response);
+          error.custom = true;
+          return error;
+        }
+      });
+
+      return Model.create({ id: 1 }).delete().then(null, function(error) {
+        error.custom.should.be.true;
+      });
+    });
+  });
+
+  describe('optimistic locking', function() {
+    var Locked;
+
+    before(function() {
+      Locked = Post.extend().reopenClass({
+        optimisticLocking: true
+      });
+    });
+
+    beforeEach(function() {
+      post = Locked.create({ id: 1, name: 'foo' });
+      this.resolve = { id: 1, name: 'foo' };
+      this.responseHeaders = 'ETag: "v1"';
+    });
+
+    it('captures the ETag in #fetch', function() {
+      return post.fetch().then(function() {
+        post.get('etag').should.eql('"v1"');
+      });
+    });
+
+    it('captures the ETag in ::find', function() {
+      return Locked.find(1).then(function(found) {
+        found.get('etag').should.eql('"v1"');
+      });
+    });
+
+    it('captures the ETag in #save', function() {
+      return post.save().then(function() {
+        post.get('etag').should.eql('"v1"');
+      });
+    });
+
+    it('sends If-Match with a PATCH', function() {
+      post.set('etag', '"v0"');
+
+      return post.save().then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({ 'If-Match': '"v0"' });
+      });
+    });
+
+    it('sends If-Match with a DELETE', function() {
+      post.set('etag', '"v0"');
+
+      return post.delete().then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({ 'If-Match': '"v0"' });
+      });
+    });
+
+    it('does not send If-Match with a POST', function() {
+      var newPost = Locked.create({ etag: '"v0"' });
+
+      return newPost.save().then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({});
+      });
+    });
+
+    it('does not send If-Match without optimisticLocking', function() {
+      var unlocked = Post.create({ id: 1, etag: '"v0"' });
+
+      return unlocked.save().then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({});
+      });
+    });
+
+    it('sends the versionAttribute as If-Match', function() {
+      var Versioned = Locked.extend().reopenClass({ versionAttribute: 'version' });
+
+      return Versioned.create({ id: 1, version: 3 }).save().then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({ 'If-Match': '3' });
+      });
+    });
+
+    context('when the server responds with 412 Precondition Failed', function() {
+      beforeEach(function() {
+        post.set('etag', '"v0"');
+        this.resolve = null;
+        this.reject  = {
+          status      : 412,
+          statusText  : 'Precondition Failed',
+          responseJSON: { id: 1, name: 'changed' }
+        };
+      });
+
+      it('rejects with a ConflictError', function() {
+        return post.save().then(function() {
+          throw new Error('Expected a rejection');
+        }, function(error) {
+          error.should.be.an.instanceOf(RestModel.ConflictError);
+          error.should.be.an.instanceOf(RestModel.RequestError);
+          error.record.should.equal(post);
+        });
+      });
+
+      it('gives access to the current representation', function() {
+        return post.save().then(null, function(error) {
+          error.current.should.eql({ id: 1, name: 'changed' });
+          post.get('name').should.eql('foo');
+        });
+      });
+
+      it('can fetch the current representation', function() {
+        return post.save().then(null, function(error) {
+          this.reject  = null;
+          this.resolve = { id: 1, name: 'fetched' };
+          return error.fetchCurrent();
+        }.bind(this)).then(function(current) {
+          current.should.eql({ id: 1, name: 'fetched' });
+          jQuery.ajax.lastCall.args[0].url.should.eql('/posts/1');
+        });
+      });
+    });
+  });
+
+  describe('conditional requests', function() {
+    var Polled;
+
+    before(function() {
+      Polled = Post.extend().reopenClass({
+        typeKey            : 'polled-post',
+        conditionalRequests: true,
+        deserialize        : sinon.spy(function(data) {
+          return data;
+        })
+      });
+    });
+
+    beforeEach(function() {
+      Polled.deserialize.reset();
+      this.resolve = [{ id: 1, name: 'foo' }];
+      this.responseHeaders = 'ETag: "v1"\r\nLast-Modified: Fri, 01 Jan 2016 00:00:00 GMT';
+      return Polled.all();
+    });
+
+    afterEach(function() {
+      Polled.clearCache();
+    });
+
+    it('sends the remembered validators', function() {
+      return Polled.all().then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({
+          'If-None-Match'    : '"v1"',
+          'If-Modified-Since': 'Fri, 01 Jan 2016 00:00:00 GMT'
+        });
+      });
+    });
+
+    it('does not send validators for other URLs', function() {
+      return Polled.find(1).then(function() {
+        should(jQuery.ajax.lastCall.args[0].headers).eql(undefined);
+      });
+    });
+
+    it('does not send validators when disabled per call', function() {
+      return Polled.ajax({ url: '/posts', conditional: false }).then(function() {
+        should(jQuery.ajax.lastCall.args[0].headers).eql(undefined);
+        should(jQuery.ajax.lastCall.args[0].conditional).eql(undefined);
+      });
+    });
+
+    it('does not send the validators of another Range of the same URL', function() {
+      return Polled.ajax({
+        url    : '/posts',
+        headers: { Range: 'id ]1..; max=1' }
+      }).then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({ Range: 'id ]1..; max=1' });
+      });
+    });
+
+    it('remembers the response of each Range on its own', function() {
+      this.resolve = [{ id: 2, name: 'bar' }];
+      this.responseHeaders = 'ETag: "v2"';
+
+      return Polled.ajax({
+        url    : '/posts',
+        headers: { Range: 'id ]1..; max=1' }
+      }).then(function() {
+        return Polled.ajax({ url: '/posts', headers: { range: 'id ]1..; max=1' } });
+      }).then(function() {
+        jQuery.ajax.lastCall.args[0].headers.should.eql({
+          'If-None-Match': '"v2"',
+          range          : 'id ]1..; max=1'
+        });
+      });
+    });
+
+    it('does not send validators after the cache is cleared', function() {
+      Polled.clearCache();
+
+      return Polled.all().then(function() {
+        should(jQuery.ajax.lastCall.args[0].headers).eql(undefined);
+      });
+    });
+
+    context('when the server responds with 304 Not Modified', function() {
+      var first;
+
+      beforeEach(function() {
+        first = Polled.peek(1);
+        this.status  = 304;
+        this.resolve = 'ignored';
+      });
+
+      it('resolves with the remembered body without deserializing it', function() {
+        return Polled.ajax({ url: '/posts' }).then(function(response) {
+          response.data.should.eql([{ id: 1, name: 'foo' }]);
+          response.notModified.should.be.true;
+          Polled.deserialize.callCount.should.eql(1);
+        });
+      });
+
+      it('resolves ::all with the same, unchanged instances', function() {
+        var changed = false;
+
+        first.addObserver('name', function() {
+          changed = true;
+        });
+
+        return Polled.all().then(function(posts) {
+          posts[0].should.equal(first);
+          posts[0].get('name').should.eql('foo');
+          posts[0].get('isDirty').should.be.false;
+          changed.should.be.false;
+        });
+      });
+    });
+  });
+
+  describe('cancellation', function() {
+    var signal;
+
+    beforeEach(function() {
+      var listeners = [];
+
+      signal = {
+        aborted: false,
+        addEventListener: function(type, listener) {
+          listeners.push(listener);
+        },
+        removeEventListener: function(type, listener) {
+          listeners.splice(listeners.indexOf(listener), 1);
+        },
+        abort: function() {
+          this.aborted = true;
+          listeners.slice().forEach(function(listener) {
+            listener();
+          });
+        }
+      };
+
+      post = Post.create({ id: 1, name: 'foo' });
+      this.resolve = { id: 1, name: 'bar' };
+    });
+
+    function expectCancellation(promise) {
+      return promise.then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.should.be.an.instanceOf(RestModel.CancellationError);
+      });
+    }
+
+    it('rejects #fetch with a CancellationError', function() {
+      var promise = post.fetch({ signal: signal });
+      signal.abort();
+
+      return expectCancellation(promise).then(function() {
+        post.get('name').should.eql('foo');
+        post.get('originalProperties.name').should.eql('foo');
+      });
+    });
+
+    it('restores the in-flight flags', function() {
+      var promise = post.save({ signal: signal });
+      post.get('isSaving').should.be.true;
+      signal.abort();
+
+      return expectCancellation(promise).then(function() {
+        post.get('isSaving').should.be.false;
+        post.get('inFlight').should.be.false;
+        post.get('requestPool').should.eql(0);
+      });
+    });
+
+    it('does not set the error state', function() {
+      var promise = post.delete({ signal: signal });
+      signal.abort();
+
+      return expectCancellation(promise).then(function() {
+        should(post.get('isError')).not.be.ok;
+      });
+    });
+
+    it('rejects ::find and ::all', function() {
+      var find = Post.find(1, { signal: signal });
+      var all  = Post.all(null, { signal: signal });
+      signal.abort();
+
+      return Ember.RSVP.all([expectCancellation(find), expectCancellation(all)]);
+    });
+
+    it('rejects without waiting when the signal is already aborted', function() {
+      signal.abort();
+      return expectCancellation(post.fetch({ signal: signal }));
+    });
+
+    it('passes the signal to the adapter', function() {
+      var abort = sinon.spy();
+      var then  = jQuery.ajax().then;
+
+      jQuery.ajax = sinon.stub().returns({ then: then, abort: abort });
+
+      var promise = post.fetch({ signal: signal });
+      signal.abort();
+
+      return expectCancellation(promise).then(function() {
+        jQuery.ajax.lastCall.args[0].signal.should.equal(signal);
+        abort.called.should.be.true;
+      });
+    });
+  });
+
+  describe('retrying', function() {
+    var Model, adapter, failures;
+
+    beforeEach(function() {
+      failures = [];
+      adapter  = {
+        request: sinon.spy(function() {
+          if (failures.length) {
+            return Ember.RSVP.reject(failures.shift());
+          }
+
+          return Ember.RSVP.resolve({ data: { id: 1 }, status: 200, headers: {} });
+        })
+      };
+
+      Model = RestModel.extend({ attrs: ['id'] }).reopenClass({
+        base       : 'models',
+        adapter    : adapter,
+        retryPolicy: { baseDelay: 0, jitter: false }
+      });
+    });
+
+    function failure(status, headers) {
+      return { status: status, headers: headers || {}, responseJSON: {} };
+    }
+
+    it('retries a GET failing with a retryable status', function() {
+      failures = [failure(503), failure(429)];
+
+      return Model.find(1).then(function(model) {
+        adapter.request.callCount.should.eql(3);
+        model.get('id').should.eql(1);
+      });
+    });
+
+    it('rejects once the attempts are exhausted', function() {
+      failures = [failure(503), failure(503), failure(503), failure(503)];
+
+      return Model.find(1).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.status.should.eql(503);
+        adapter.request.callCount.should.eql(3);
+      });
+    });
+
+    it('does not retry other statuses', function() {
+      failures = [failure(500)];
+
+      return Model.find(1).then(null, function() {
+        adapter.request.callCount.should.eql(1);
+      });
+    });
+
+    it('retries a DELETE', function() {
+      failures = [failure(502)];
+
+      return Model.create({ id: 1 }).delete().then(function() {
+        adapter.request.callCount.should.eql(2);
+      });
+    });
+
+    it('does not retry #save unless opted in', function() {
+      var model = Model.create({ id: 1 });
+      failures = [failure(503)];
+
+      return model.save().then(null, function() {
+        adapter.request.callCount.should.eql(1);
+        failures = [failure(503)];
+        return model.save({ retry: true });
+      }).then(function() {
+        adapter.request.callCount.should.eql(3);
+        model.get('isError').should.be.false;
+      });
+    });
+
+    it('does not retry when disabled for the request', function() {
+      failures = [failure(503)];
+
+      return Model.find(1, { retry: false }).then(null, function() {
+        adapter.request.callCount.should.eql(1);
+      });
+    });
+
+    it('does not retry without a retry policy', function() {
+      Model.reopenClass({ retryPolicy: null });
+      failures = [failure(503)];
+
+      return Model.find(1).then(null, function() {
+        adapter.request.callCount.should.eql(1);
+      });
+    });
+
+    it('keeps the in-flight flags set between attempts', function() {
+      var model = Model.create({ id: 1 });
+      failures = [failure(503)];
+
+      var promise = model.fetch();
+      model.get('isFetching').should.be.true;
+
+      return promise.then(function() {
+        model.get('isFetching').should.be.false;
+        model.get('requestPool').should.eql(0);
+      });
+    });
+  });
+
+  describe('batches', function() {
+    var Model, adapter, inFlight, maxInFlight, models;
+
+    beforeEach(function() {
+      inFlight    = 0;
+      maxInFlight = 0;
+
+      adapter = {
+        request: sinon.spy(function(options) {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+
+          return new Ember.RSVP.Promise(function(resolve, reject) {
+            setTimeout(function() {
+              inFlight--;
+
+              if (/\/3$/.test(options.url)) {
+                reject({ status: 500, headers: {}, responseJSON: { message: 'oops' } });
+              } else if (options.type === 'PATCH' && /bulk$/.test(options.url)) {
+                resolve({
+                  data: JSON.parse(options.data).map(function(data) {
+                    return utils.extend(data, { name: data.name.toUpperCase() });
+                  }),
+                  status: 200,
+                  headers: {}
+                });
+              } else {
+                resolve({ data: options.data && JSON.parse(options.data), status: 200, headers: {} });
+              }
+            }, 1);
+          });
+        })
+      };
+
+      Model = RestModel.extend({
+        attrs: ['name'],
+        validations: { name: { presence: true } }
+      }).reopenClass({
+        base            : 'models',
+        adapter         : adapter,
+        batchConcurrency: 2
+      });
+
+      models = [1, 2, 3, 4, 5].map(function(id) {
+        return Model.create({ id: id, name: `model ${id}` });
+      });
+    });
+
+    function states(results) {
+      return results.map(function(result) {
+        return result.state;
+      });
+    }
+
+    describe('::saveAll', function() {
+      it('saves every record with a limited concurrency', function() {
+        return Model.saveAll(models).then(function() {
+          adapter.request.callCount.should.eql(5);
+          maxInFlight.should.eql(2);
+        });
+      });
+
+      it('accepts a concurrency option', function() {
+        return Model.saveAll(models, { concurrency: 5 }).then(function() {
+          maxInFlight.should.eql(5);
+          should(adapter.request.lastCall.args[0].concurrency).eql(undefined);
+        });
+      });
+
+      it('resolves with the outcome of each save', function() {
+        models[0].set('name', null);
+
+        return Model.saveAll(models).then(function(results) {
+          states(results).should.eql([
+            'rejected', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled'
+          ]);
+          results[0].reason.should.be.an.instanceOf(RestModel.ValidationError);
+          results[1].record.should.equal(models[1]);
+          results[1].value.should.equal(models[1]);
+          results[2].reason.should.be.an.instanceOf(RestModel.RequestError);
+          models[2].get('isError').should.be.true;
+        });
+      });
+
+      it('passes options on to each save', function() {
+        return Model.saveAll(models, { headers: { 'X-Foo': 'bar' } }).then(function() {
+          adapter.request.lastCall.args[0].headers['X-Foo'].should.eql('bar');
+        });
+      });
+
+      it('resolves with an empty array without records', function() {
+        return Model.saveAll([]).then(function(results) {
+          results.should.eql([]);
+        });
+      });
+    });
+
+    describe('::deleteAll', function() {
+      it('deletes every record with a limited concurrency', function() {
+        return Model.deleteAll(models).then(function(results) {
+          adapter.request.callCount.should.eql(5);
+          adapter.request.lastCall.args[0].type.should.eql('DELETE');
+          maxInFlight.should.eql(2);
+          states(results)[2].should.eql('rejected');
+        });
+      });
+    });
+
+    describe('with a bulk endpoint', function() {
+      beforeEach(function() {
+        Model.reopenClass({ bulkPath: 'bulk' });
+      });
+
+      it('saves the records with a single request', function() {
+        var promise = Model.saveAll([models[0], models[1]]);
+        models[0].get('isSaving').should.be.true;
+
+        return promise.then(function(results) {
+          var options = adapter.request.lastCall.args[0];
+
+          adapter.request.callCount.should.eql(1);
+          options.type.should.eql('PATCH');
+          options.url.should.eql('/models/bulk');
+          JSON.parse(options.data).should.eql([
+            { id: 1, name: 'model 1' },
+            { id: 2, name: 'model 2' }
+          ]);
+
+          states(results).should.eql(['fulfilled', 'fulfilled']);
+          models[0].get('name').should.eql('MODEL 1');
+          models[1].get('isDirty').should.be.false;
+          models[0].get('isSaving').should.be.false;
+        });
+      });
+
+      it('leaves invalid records out of the request', function() {
+        models[0].set('name', '');
+
+        return Model.saveAll([models[0], models[1]]).then(function(results) {
+          JSON.parse(adapter.request.lastCall.args[0].data).length.should.eql(1);
+          states(results).should.eql(['rejected', 'fulfilled']);
+          models[1].get('name').should.eql('MODEL 2');
+        });
+      });
+
+      it('creates new records with a separate POST', function() {
+        var created = Model.create({ name: 'new' });
+        models[0].set('etag', '"stale"');
+
+        return Model.saveAll([created, models[0]]).then(function(results) {
+          var post  = adapter.request.firstCall.args[0];
+          var patch = adapter.request.secondCall.args[0];
+
+          adapter.request.callCount.should.eql(2);
+          post.type.should.eql('POST');
+          post.url.should.eql('/models/bulk');
+          JSON.parse(post.data).should.eql([{ name: 'new' }]);
+          patch.type.should.eql('PATCH');
+          JSON.parse(patch.data).should.eql([{ id: 1, name: 'model 1' }]);
+
+          states(results).should.eql(['fulfilled', 'fulfilled']);
+          models[0].get('name').should.eql('MODEL 1');
+          should(models[0].get('etag')).eql(null);
+        });
+      });
+
+      it('only sends the dirty properties of persisted records with partial updates', function() {
+        var Sized = Model.extend({ attrs: ['name', 'size'] });
+        var sized = [1, 2].map(function(id) {
+          return Sized.create({ id: id, name: `model ${id}`, size: 'S' });
+        });
+
+        sized[0].set('name', 'changed');
+
+        return Sized.saveAll(sized, { partial: true }).then(function(results) {
+          adapter.request.callCount.should.eql(1);
+          JSON.parse(adapter.request.lastCall.args[0].data).should.eql([
+            { id: 1, name: 'changed' }
+          ]);
+          should(adapter.request.lastCall.args[0].partial).eql(undefined);
+          states(results).should.eql(['fulfilled', 'fulfilled']);
+          results[1].value.should.equal(sized[1]);
+        });
+      });
+
+      it('saves records one at a time with optimistic locking', function() {
+        Model.reopenClass({ optimisticLocking: true });
+        models[0].set('etag', '"a"');
+
+        return Model.saveAll([models[0], models[1]]).then(function() {
+          adapter.request.callCount.should.eql(2);
+          adapter.request.firstCall.args[0].url.should.eql('/models/1');
+          adapter.request.firstCall.args[0].headers['If-Match'].should.eql('"a"');
+        });
+      });
+
+      it('gives each record the attribute errors of its entry in a 422 response', function() {
+        adapter.request = sinon.spy(function() {
+          return Ember.RSVP.reject({
+            status      : 422,
+            headers     : {},
+            responseJSON: { message: 'Invalid', errors: [{ name: ['is taken'] }, null] }
+          });
+        });
+
+        return Model.saveAll([models[0], models[1]]).then(function(results) {
+          states(results).should.eql(['rejected', 'rejected']);
+          results[0].reason.errors.should.eql({ name: ['is taken'] });
+          should(results[1].reason.errors).eql(null);
+          results[1].reason.should.be.an.instanceOf(RestModel.RequestError);
+          models[0].get('errors').should.eql({ name: ['is taken'] });
+          models[1].get('errors').should.eql({});
+        });
+      });
+
+      it('does not give records the attribute errors of a whole 422 response', function() {
+        adapter.request = sinon.spy(function() {
+          return Ember.RSVP.reject({
+            status      : 422,
+            headers     : {},
+            responseJSON: { message: 'Invalid', errors: { name: ['is taken'] } }
+          });
+        });
+
+        return Model.saveAll([models[0], models[1]]).then(function(results) {
+          should(results[0].reason.errors).eql(null);
+          results[0].reason.message.should.eql('Invalid');
+          models[0].get('errors').should.eql({});
+        });
+      });
+
+      it('uses the base path with an empty bulk path', function() {
+        Model.reopenClass({ bulkPath: '' });
+
+        return Model.saveAll(models).then(function() {
+          adapter.request.lastCall.args[0].url.should.eql('/models');
+        });
+      });
+
+      it('can be disabled per call', function() {
+        return Model.saveAll(models, { bulk: false }).then(function() {
+          adapter.request.callCount.should.eql(5);
+        });
+      });
+
+      it('deletes the records with a single request', function() {
+        return Model.deleteAll([models[0], models[1]]).then(function(results) {
+          var options = adapter.request.lastCall.args[0];
+
+          adapter.request.callCount.should.eql(1);
+          options.type.should.eql('DELETE');
+          options.url.should.eql('/models/bulk');
+          JSON.parse(options.data).should.eql([{ id: 1 }, { id: 2 }]);
+          states(results).should.eql(['fulfilled', 'fulfilled']);
+        });
+      });
+
+      it('runs the save hooks of each record around the request', function() {
+        var calls = [];
+
+        Model.beforeSave = function(record, options) {
+          calls.push(['::beforeSave', record.get('id'), options.type]);
+        };
+        models[0].beforeSave = function() {
+          this.set('name', 'changed');
+        };
+        models[0].afterSave = function(response) {
+          calls.push(['#afterSave', response.data]);
+        };
+
+        return Model.saveAll([models[0], models[1]]).then(function(results) {
+          JSON.parse(adapter.request.lastCall.args[0].data)[0].should.eql({
+            id  : 1,
+            name: 'changed'
+          });
+          states(results).should.eql(['fulfilled', 'fulfilled']);
+          calls.should.eql([
+            ['::beforeSave', 1, 'PATCH'],
+            ['::beforeSave', 2, 'PATCH'],
+            ['#afterSave', { id: 1, name: 'CHANGED' }]
+          ]);
+        });
+      });
+
+      it('leaves records cancelled by a beforeSave hook out of the request', function() {
+        var afterSave = sinon.spy();
+
+        models[0].beforeSave = function() { return false; };
+        models[0].afterSave  = afterSave;
+
+        return Model.saveAll([models[0], models[1]]).then(function(results) {
+          JSON.parse(adapter.request.lastCall.args[0].data).should.eql([
+            { id: 2, name: 'model 2' }
+          ]);
+          states(results).should.eql(['rejected', 'fulfilled']);
+          results[0].reason.should.be.an.instanceOf(RestModel.CancellationError);
+          models[0].get('isSaving').should.be.false;
+          afterSave.called.should.be.false;
+        });
+      });
+
+      it('waits for the beforeSave hooks of every record before the request', function() {
+        models[0].beforeSave = function() {
+          return new Ember.RSVP.Promise(function(resolve) {
+            setTimeout(function() {
+              models[0].set('name', 'later');
+              resolve();
+            }, 5);
+          });
+        };
+
+        return Model.saveAll([models[0], models[1]]).then(function() {
+          adapter.request.callCount.should.eql(1);
+          JSON.parse(adapter.request.lastCall.args[0].data)[0].name.should.eql('later');
+        });
+      });
+
+      it('does not run the afterSave hooks when the request fails', function() {
+        var afterSave = sinon.spy();
+
+        models[2].afterSave = afterSave;
+
+        return Model.saveAll([models[2]], { url: '/models/3' }).then(function(results) {
+          states(results).should.eql(['rejected']);
+          afterSave.called.should.be.false;
+        });
+      });
+
+      it('runs the delete hooks of each record around the request', function() {
+        var afterDelete = sinon.spy();
+
+        models[0].beforeDelete = function() { return false; };
+        models[1].afterDelete  = afterDelete;
+
+        return Model.deleteAll([models[0], models[1]]).then(function(results) {
+          JSON.parse(adapter.request.lastCall.args[0].data).should.eql([{ id: 2 }]);
+          states(results).should.eql(['rejected', 'fulfilled']);
+          results[0].reason.should.be.an.instanceOf(RestModel.CancellationError);
+          afterDelete.calledOnce.should.be.true;
+          afterDelete.firstCall.args[0].status.should.eql(200);
+        });
+      });
+    });
+  });
+
+  describe('request deduplication', function() {
+    beforeEach(function() {
+      this.resolve = { id: 2, body: 'foo' };
+    });
+
+    it('shares one request between identical concurrent GETs', function() {
+      return Ember.RSVP.all([Post.find(2), Post.find(2)]).then(function(posts) {
+        jQuery.ajax.callCount.should.eql(1);
+        posts[0].should.equal(posts[1]);
+      });
+    });
+
+    it('wires the parents of each ::find caller', function() {
+      var Model  = RestModel.extend().reopenClass({ base: 'posts/:post/comments' });
+      var first  = Post.create({ id: 1 });
+      var second = Post.create({ id: 1 });
+
+      return Ember.RSVP.all([
+        Model.find({ post: first }, 2),
+        Model.find({ post: second }, 2)
+      ]).then(function(comments) {
+        comments[0].should.not.equal(comments[1]);
+        jQuery.ajax.callCount.should.eql(1);
+        comments[0].get('post').should.equal(first);
+        comments[1].get('post').should.equal(second);
+      });
+    });
+
+    it('resolves each ::find caller with the cached record of a class with a typeKey', function() {
+      return Ember.RSVP.all([
+        Comment.find({ post: 1 }, 2),
+        Comment.find({ post: 1 }, 2)
+      ]).then(function(comments) {
+        comments[0].should.equal(comments[1]);
+        jQuery.ajax.callCount.should.eql(1);
+      });
+    });
+
+    it('resolves each caller with its own copy of the data', function() {
+      var Model = RestModel.extend().reopenClass({ base: 'models' });
+
+      return Ember.RSVP.all([
+        Model.ajax({ url: '/models/2' }),
+        Model.ajax({ url: '/models/2' })
+      ]).then(function(responses) {
+        jQuery.ajax.callCount.should.eql(1);
+        responses[0].data.should.eql(responses[1].data);
+        responses[0].data.should.not.equal(responses[1].data);
+      });
+    });
+
+    it('does not share requests with different URLs or data', function() {
+      return Ember.RSVP.all([
+        Post.find(2),
+        Post.find(3),
+        Post.find(2, { data: { full: true } })
+      ]).then(function() {
+        jQuery.ajax.callCount.should.eql(3);
+      });
+    });
+
+    it('does not share requests other than GETs', function() {
+      var comment = Comment.create({ id: 2, post: 1 });
+
+      return Ember.RSVP.all([comment.save(), comment.save()]).then(function() {
+        jQuery.ajax.callCount.should.eql(2);
+      });
+    });
+
+    it('makes a new request once the shared one has settled', function() {
+      return Post.find(2).then(function() {
+        return Post.find(2);
+      }).then(function() {
+        jQuery.ajax.callCount.should.eql(2);
+      });
+    });
+
+    it('can be disabled per request', function() {
+      return Ember.RSVP.all([
+        Post.find(2),
+        Post.find(2, { dedupe: false })
+      ]).then(function() {
+        jQuery.ajax.callCount.should.eql(2);
+        should(jQuery.ajax.lastCall.args[0].dedupe).eql(undefined);
+      });
+    });
+
+    it('can be disabled for a class', function() {
+      var Model = Post.extend().reopenClass({ dedupeRequests: false });
+
+      return Ember.RSVP.all([Model.find(2), Model.find(2)]).then(function() {
+        jQuery.ajax.callCount.should.eql(2);
+      });
+    });
+  });
+
+  describe('timeouts', function() {
+    var Model, adapter, model;
+
+    beforeEach(function() {
+      adapter = {
+        request: sinon.spy(function(options) {
+          return new Ember.RSVP.Promise(function(resolve) {
+            if (options.url === '/models/fast') {
+              resolve({ data: { id: 'fast' }, status: 200, headers: {} });
+            }
+          });
+        })
+      };
+
+      Model = RestModel.extend({ attrs: ['id'] }).reopenClass({
+        base   : 'models',
+        adapter: adapter,
+        timeout: 5
+      });
+
+      model = Model.create({ id: 1 });
+    });
+
+    function expectTimeout(promise) {
+      return promise.then(function() {
+        throw new Error('Expected a rejection');
+      }, function(error) {
+        error.should.be.an.instanceOf(RestModel.TimeoutError);
+        error.should.be.an.instanceOf(RestModel.RequestError);
+        return error;
+      });
+    }
+
+    it('rejects a hung request with a TimeoutError', function() {
+      return expectTimeout(Model.find(1)).then(function(error) {
+        error.timeout.should.eql(5);
+      });
+    });
+
+    it('aborts the request through its signal', function() {
+      return expectTimeout(Model.find(1)).then(function() {
+        adapter.request.lastCall.args[0].signal.aborted.should.be.true;
+      });
+    });
+
+    it('does not pass the timeout to the adapter', function() {
+      return expectTimeout(Model.find(1)).then(function() {
+        adapter.request.lastCall.args[0].should.not.have.property('timeout');
+      });
+    });
+
+    it('resolves a request settled in time', function() {
+      return Model.find('fast').then(function(result) {
+        result.get('id').should.eql('fast');
+      });
+    });
+
+    it('stops listening to the signal of the caller once settled', function() {
+      var signal = {
+        aborted            : false,
+        addEventListener   : sinon.spy(),
+        removeEventListener: sinon.spy()
+      };
+
+      return Model.ajax({ url: '/models/fast', signal: signal }).then(function() {
+        signal.addEventListener.callCount.should.eql(2);
+        signal.removeEventListener.callCount.should.eql(2);
+        signal.addEventListener.args.forEach(function(args) {
+          signal.removeEventListener.calledWith('abort', args[1]).should.be.true;
+        });
+      });
+    });
+
+    it('resets the in-flight flags and sets the error state', function() {
+      var promise = model.save();
+      model.get('isSaving').should.be.true;
+
+      return expectTimeout(promise).then(function(error) {
+        model.get('isSaving').should.be.false;
+        model.get('inFlight').should.be.false;
+        model.get('requestPool').should.eql(0);
+        model.get('isError').should.be.true;
+        model.get('lastError').should.equal(error);
+      });
+    });
+
+    it('can be overridden per request', function() {
+      Model.reopenClass({ timeout: null });
+      return expectTimeout(model.delete({ timeout: 5 }));
+    });
+
+    it('does not retry a request timed out while waiting for the next attempt', function() {
+      adapter.request = sinon.spy(function() {
+        return Ember.RSVP.reject({ status: 503, headers: {} });
+      });
+
+      Model.reopenClass({
+        retryPolicy: { baseDelay: 10, jitter: false }
+      });
+
+      return expectTimeout(Model.find(1)).then(function() {
+        return new Ember.RSVP.Promise(function(resolve) {
+          setTimeout(resolve, 20);
+        });
+      }).then(function() {
+        adapter.request.callCount.should.eql(1);
+      });
+    });
+
+    it('covers every attempt of a retried request', function() {
+      adapter.request = sinon.spy(function() {
+        return Ember.RSVP.reject({ status: 503, headers: {} });
+      });
+
+      Model.reopenClass({
+        retryPolicy: { maxAttempts: 100, baseDelay: 2, jitter: false, maxDelay: 2 }
+      });
+
+      return expectTimeout(Model.find(1)).then(function() {
+        var calls = adapter.request.callCount;
+
+        return new Ember.RSVP.Promise(function(resolve) {
+          setTimeout(resolve, 10);
+        }).then(function() {
+          adapter.request.callCount.should.eql(calls);
+        });
+      });
+    });
+  });
+
+  describe('identity map', function() {
+    it('resolves ::find with the same instance for the same primary key', function() {
+      var first;
+      this.resolve = { id: 1, name: 'foo' };
+
+      return Post.find(1).then(function(instance) {
+        first = instance;
+        this.resolve = { id: 1, name: 'bar' };
+        return Post.find(1);
+      }.bind(this)).then(function(instance) {
+        instance.should.equal(first);
+        instance.get('name').should.eql('bar');
+        instance.get('isDirty').should.be.false;
+      });
+    });
+
+    it('shares instances between ::all and ::find', function() {
+      var first;
+      this.resolve = [{ id: 1, name: 'foo' }];
+
+      return Post.all().then(function(instances) {
+        first = instances[0];
+        this.resolve = { id: 1, name: 'bar' };
+        return Post.find(1);
+      }.bind(this)).then(function(instance) {
+        instance.should.equal(first);
+      });
+    });
+
+    it('keeps unsaved changes to a record updated by ::find', function() {
+      this.resolve = { id: 1, name: 'foo' };
+
+      return Post.find(1).then(function(instance) {
+        instance.set('name', 'edited');
+        this.resolve = { id: 1, name: 'bar' };
+        return Post.find(1);
+      }.bind(this)).then(function(instance) {
+        instance.get('name').should.eql('edited');
+        instance.get('isDirty').should.be.true;
+        instance.get('originalProperties.name').should.eql('bar');
+      });
+    });
+
+    it('keeps unsaved changes to a record updated by ::all', function() {
+      this.resolve = [{ id: 1, name: 'foo', body: 'a' }];
+
+      return Post.all().then(function(instances) {
+        instances[0].set('name', 'edited');
+        this.resolve = [{ id: 1, name: 'foo', body: 'b' }];
+        return Post.all();
+      }.bind(this)).then(function(instances) {
+        instances[0].get('name').should.eql('edited');
+        instances[0].get('body').should.eql('b');
+        instances[0].get('dirtyProperties').should.eql(['name']);
+      });
+    });
+
+    it('keeps records with the same primary key under different parents apart', function() {
+      var first;
+      this.resolve = { id: 1 };
+
+      return Comment.find({ post: 1 }, 1).then(function(comment) {
+        first = comment;
+        return Comment.find({ post: 2 }, 1);
+      }).then(function(comment) {
+        comment.should.not.equal(first);
+        first.get('post').should.eql(1);
+        Comment.peek({ post: 1 }, 1).should.equal(first);
+        Comment.peek({ post: 2 }, 1).should.equal(comment);
+      });
+    });
+
+    it('caches records of a composite key under a nested base by their key alone', function() {
+      var Addon = RestModel.extend().reopenClass({
+        typeKey     : 'nested-composite-addon',
+        base        : 'apps/:app_id/addons',
+        compositeKey: '/apps/:app_id/addons/:name'
+      });
+      var key = { app_id: 'my-app', name: 'redis' };
+      var first;
+
+      this.resolve = { name: 'redis' };
+
+      return Addon.find(key).then(function(addon) {
+        first = addon;
+        return Addon.find(key);
+      }).then(function(addon) {
+        addon.should.equal(first);
+        addon.get('app_id').should.eql('my-app');
+        Addon.peek(key).should.equal(addon);
+        Addon.peek('apps/my-app/addons/redis').should.equal(addon);
+      }).finally(function() {
+        Addon.clearCache();
+      });
+    });
+
+    it('overwrites unsaved changes to a record fetched by #fetch', function() {
+      this.resolve = { id: 1, name: 'foo' };
+      post.set('id', 1);
+      Post.cacheRecord(post);
+      post.set('name', 'local');
+
+      return post.fetch().then(function() {
+        post.get('name').should.eql('foo');
+        post.get('isDirty').should.be.false;
+      });
+    });
+
+    it('caches a record fetched by #fetch', function() {
+      this.resolve = { id: 1, name: 'foo' };
+      post.set('id', 1);
+
+      return post.fetch().then(function() {
+        Post.peek(1).should.equal(post);
+      });
+    });
+
+    it('caches a record once #save gives it a primary key', function() {
+      this.resolve = { id: 1 };
+
+      return post.save().then(function() {
+        Post.peek(1).should.equal(post);
+      });
+    });
+
+    it('evicts a record after #delete', function() {
+      this.resolve = {};
+      post.set('id', 1);
+      Post.cacheRecord(post);
+
+      return post.delete().then(function() {
+        should(Post.peek(1)).eql(undefined);
+      });
+    });
+
+    it('does not cache records of a class without a typeKey', function() {
+      var Model = RestModel.extend();
+      Model.cacheRecord(Model.create({ id: 1 }));
+      should(Model.peek(1)).eql(undefined);
+    });
+
+    describe('::peek', function() {
+      it('returns undefined for an uncached primary key', function() {
+        should(Post.peek(1)).eql(undefined);
+      });
+
+      it('does not make a request', function() {
+        Post.peek(1);
+        jQuery.ajax.called.should.be.false;
+      });
+    });
+
+    describe('::evict', function() {
+      beforeEach(function() {
+        post.set('id', 1);
+        Post.cacheRecord(post);
+      });
+
+      it('removes a record by primary key', function() {
+        Post.evict(1);
+        should(Post.peek(1)).eql(undefined);
+      });
+
+      it('removes a record by instance', function() {
+        Post.evict(post);
+        should(Post.peek(1)).eql(undefined);
+      });
+
+      it('does not remove a different instance with the same primary key', function() {
+        Post.evict(Post.create({ id: 1 }));
+        Post.peek(1).should.equal(post);
+      });
+
+      it('removes a record by parents and primary key', function() {
+        var comment = Comment.create({ id: 1, post: 2 });
+        Comment.cacheRecord(comment);
+        Comment.evict({ post: 2 }, 1);
+        should(Comment.peek({ post: 2 }, 1)).eql(undefined);
+      });
+    });
+
+    describe('::clearCache', function() {
+      it('removes every cached record of the class', function() {
+        post.set('id', 1);
+        Post.cacheRecord(post);
+        Post.clearCache();
+        should(Post.peek(1)).eql(undefined);
+      });
+    });
   });
 
   describe('::request', function() {
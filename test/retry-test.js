@@ -0,0 +1,82 @@
+// Allow expressions in place of function calls (for be.true, etc)
+// jshint -W030
+
+'use strict';
+
+require('./test-helper');
+
+var should = require('should');
+var retry  = require('../lib/retry');
+
+describe('RestModel retry', function() {
+  describe('buildPolicy', function() {
+    it('returns null without a class policy or retry option', function() {
+      should(retry.buildPolicy(null, undefined, 'GET')).eql(null);
+    });
+
+    it('merges the class policy and retry option into the defaults', function() {
+      var policy = retry.buildPolicy({ maxAttempts: 5 }, { baseDelay: 10 }, 'GET');
+      policy.maxAttempts.should.eql(5);
+      policy.baseDelay.should.eql(10);
+      policy.statuses.should.eql([429, 502, 503]);
+    });
+
+    it('only applies to the policy methods by default', function() {
+      should(retry.buildPolicy({}, undefined, 'POST')).eql(null);
+      retry.buildPolicy({}, undefined, 'delete').should.be.ok;
+      retry.buildPolicy({ methods: ['PATCH'] }, undefined, 'PATCH').should.be.ok;
+    });
+
+    it('applies to any method when the retry option is true', function() {
+      retry.buildPolicy(null, true, 'POST').should.be.ok;
+    });
+
+    it('returns null when the retry option is false', function() {
+      should(retry.buildPolicy({}, false, 'GET')).eql(null);
+    });
+  });
+
+  describe('getDelay', function() {
+    var policy = { baseDelay: 100, maxDelay: 1000, jitter: false };
+
+    it('grows exponentially up to the maximum delay', function() {
+      retry.getDelay(policy, {}, 1).should.eql(100);
+      retry.getDelay(policy, {}, 3).should.eql(400);
+      retry.getDelay(policy, {}, 10).should.eql(1000);
+    });
+
+    it('applies jitter below the exponential delay', function() {
+      var delay = retry.getDelay({ baseDelay: 100, maxDelay: 1000, jitter: true }, {}, 2);
+      delay.should.be.within(0, 200);
+    });
+
+    it('respects a Retry-After header in seconds', function() {
+      retry.getDelay(policy, { headers: { 'retry-after': '0' } }, 3).should.eql(0);
+    });
+
+    it('reads Retry-After from a jqXHR', function() {
+      var jqXHR = {
+        getResponseHeader: function(name) {
+          return name === 'Retry-After' ? '1' : null;
+        }
+      };
+
+      retry.getDelay(policy, jqXHR, 1).should.eql(1000);
+    });
+
+    it('respects a Retry-After HTTP date', function() {
+      var date = new Date(Date.now() - 1000).toUTCString();
+      retry.getDelay(policy, { headers: { 'retry-after': date } }, 1).should.eql(0);
+    });
+  });
+
+  describe('shouldRetry', function() {
+    var policy = { maxAttempts: 2, statuses: [503] };
+
+    it('retries retryable statuses until the attempts are exhausted', function() {
+      retry.shouldRetry(policy, { status: 503 }, 1).should.be.true;
+      retry.shouldRetry(policy, { status: 503 }, 2).should.be.false;
+      retry.shouldRetry(policy, { status: 500 }, 1).should.be.false;
+    });
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+require('./test-helper');
+
+var should = require('should');
+
+describe('RestModel serializers', function() {
+  var App, RestModel, serializers;
+
+  before(function() {
+    RestModel   = require('../index');
+    serializers = require('../lib/serializers');
+
+    App = {
+      typeKey        : 'app',
+      primaryKeys    : ['id'],
+      getKeyTransform: function() { return null; }
+    };
+  });
+
+  describe('json', function() {
+    var serializer;
+
+    beforeEach(function() {
+      serializer = serializers.json.create();
+    });
+
+    it('normalizes records as they are', function() {
+      serializer.normalizeResponse(App, { id: 1, name: 'foo' })
+        .should.eql({ id: 1, name: 'foo' });
+      serializer.normalizeResponse(App, [{ id: 1 }, { id: 2 }])
+        .should.eql([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('leaves other payloads as they are', function() {
+      should(serializer.normalizeResponse(App, null)).eql(null);
+      serializer.normalizeResponse(App, 'ok').should.eql('ok');
+    });
+
+    it('serializes records as they are', function() {
+      serializer.serialize(App, { name: 'foo' }).should.eql({ name: 'foo' });
+      serializer.serialize(App, [{ name: 'foo' }]).should.eql([{ name: 'foo' }]);
+    });
+
+    it('transforms attribute names', function() {
+      serializer = serializers.json.create({
+        keyForAttribute: Ember.String.underscore,
+        attributeForKey: Ember.String.camelize
+      });
+
+      serializer.normalizeResponse(App, { created_at: 'now' })
+        .should.eql({ createdAt: 'now' });
+      serializer.serialize(App, { createdAt: 'now' })
+        .should.eql({ created_at: 'now' });
+    });
+    it('applies the key transform of the class to nested objects', function() {
+      var Build = {
+        getKeyTransform: function() { return RestModel.keyTransforms.snakeCase; }
+      };
+
+      serializer.normalizeResponse(Build, { source_blob: { checksum_type: 'md5' } })
+        .should.eql({ sourceBlob: { checksumType: 'md5' } });
+      serializer.serialize(Build, { sourceBlob: [{ checksumType: 'md5' }] })
+        .should.eql({ source_blob: [{ checksum_type: 'md5' }] });
+    });
+  });
+
+  describe('envelope', function() {
+    var serializer;
+
+    beforeEach(function() {
+      serializer = serializers.envelope.create();
+    });
+
+    it('unwraps a record under the root key', function() {
+      serializer.normalizeResponse(App, { app: { id: 1 } }).should.eql({ id: 1 });
+    });
+
+    it('unwraps records under the plural root key', function() {
+      serializer.normalizeResponse(App, { apps: [{ id: 1 }] }).should.eql([{ id: 1 }]);
+    });
+
+    it('leaves payloads without a root key as they are', function() {
+      serializer.normalizeResponse(App, { id: 1 }).should.eql({ id: 1 });
+    });
+
+    it('wraps a record under the root key', function() {
+      serializer.serialize(App, { name: 'foo' }).should.eql({ app: { name: 'foo' } });
+    });
+
+    it('wraps records under the plural root key', function() {
+      serializer.serialize(App, [{ name: 'foo' }]).should.eql({ apps: [{ name: 'foo' }] });
+    });
+
+    it('accepts custom root keys', function() {
+      serializer = serializers.envelope.create({ root: 'person', pluralRoot: 'people' });
+
+      serializer.normalizeResponse(App, { people: [{ id: 1 }] }).should.eql([{ id: 1 }]);
+      serializer.serialize(App, { name: 'foo' }).should.eql({ person: { name: 'foo' } });
+    });
+
+    it('throws an error without a root key', function() {
+      (function() {
+        serializer.serialize({ getKeyTransform: App.getKeyTransform }, {});
+      }).should.throw('An envelope serializer needs a `root` or a class with a `typeKey`.');
+    });
+  });
+
+  describe('jsonApi', function() {
+    var serializer;
+
+    beforeEach(function() {
+      serializer = serializers.jsonApi.create();
+    });
+
+    it('normalizes a resource object', function() {
+      serializer.normalizeResponse(App, {
+        data: { type: 'apps', id: '1', attributes: { name: 'foo' } }
+      }).should.eql({ id: '1', name: 'foo' });
+    });
+
+    it('normalizes an array of resource objects', function() {
+      serializer.normalizeResponse(App, {
+        data: [{ type: 'apps', id: '1', attributes: { name: 'foo' } },
+               { type: 'apps', id: '2', attributes: { name: 'bar' } }]
+      }).should.eql([{ id: '1', name: 'foo' }, { id: '2', name: 'bar' }]);
+    });
+
+    it('normalizes relationships to primary keys', function() {
+      serializer.normalizeResponse(App, {
+        data: {
+          id           : '1',
+          relationships: {
+            owner       : { data: { type: 'users', id: '2' } },
+            collaborators: { data: [{ type: 'users', id: '3' }] },
+            region      : { data: null },
+            builds      : { links: { related: '/apps/1/builds' } }
+          }
+        }
+      }).should.eql({ id: '1', owner: '2', collaborators: ['3'], region: null });
+    });
+
+    it('serializes a record into a resource object', function() {
+      var record = Ember.Object.create({ primaryKey: 1 });
+
+      serializer.serialize(App, { name: 'foo' }, record).should.eql({
+        data: { type: 'app', id: '1', attributes: { name: 'foo' } }
+      });
+    });
+
+    it('serializes a new record without an id', function() {
+      serializer.serialize(App, { name: 'foo' }).should.eql({
+        data: { type: 'app', attributes: { name: 'foo' } }
+      });
+    });
+
+    it('serializes records into an array of resource objects', function() {
+      serializer.serialize(App, [{ id: 1, name: 'foo' }]).should.eql({
+        data: [{ type: 'app', id: '1', attributes: { name: 'foo' } }]
+      });
+    });
+
+    it('transforms attribute names', function() {
+      serializer = serializers.jsonApi.create({
+        keyForAttribute: Ember.String.dasherize,
+        attributeForKey: Ember.String.camelize
+      });
+
+      serializer.normalizeResponse(App, {
+        data: { id: '1', attributes: { 'created-at': 'now' } }
+      }).should.eql({ id: '1', createdAt: 'now' });
+      serializer.serialize(App, { createdAt: 'now' }).data.attributes
+        .should.eql({ 'created-at': 'now' });
+    });
+
+    it('sends the JSON:API content type', function() {
+      serializer.get('contentType').should.eql('application/vnd.api+json');
+    });
+  });
+});
@@ -29,13 +29,20 @@ beforeEach(function() {
 
   this.resolve = null;
   this.reject  = null;
+  this.responseHeaders = '';
+  this.status  = 200;
   this.afterRequest = function() {};
 
   jQuery.ajax = sinon.stub().returns({
     then: function(resolve, reject) {
       if (self.resolve) {
         setTimeout(function() {
-          resolve(self.resolve, 'success', { status: 200 });
+          resolve(self.resolve, 'success', {
+            status: self.status,
+            getAllResponseHeaders: function() {
+              return self.responseHeaders;
+            }
+          });
           self.afterRequest();
         }, 5);
       } else if (self.reject) {
@@ -0,0 +1,83 @@
+// Allow expressions in place of function calls (for be.true, etc)
+// jshint -W030
+
+'use strict';
+
+require('./test-helper');
+
+var should     = require('should');
+var transforms = require('../lib/transforms');
+
+describe('RestModel.transforms', function() {
+  describe('date', function() {
+    it('deserializes empty and invalid values to null', function() {
+      should(transforms.date.deserialize(null)).eql(null);
+      should(transforms.date.deserialize('')).eql(null);
+      should(transforms.date.deserialize('not a date')).eql(null);
+    });
+
+    it('serializes to an ISO 8601 string', function() {
+      transforms.date.serialize(new Date(Date.UTC(2016, 0, 1)))
+        .should.eql('2016-01-01T00:00:00.000Z');
+    });
+
+    it('considers missing values equal', function() {
+      transforms.date.isEqual(null, undefined).should.be.true;
+      transforms.date.isEqual(null, new Date()).should.be.false;
+    });
+  });
+
+  describe('number', function() {
+    it('deserializes numeric strings', function() {
+      transforms.number.deserialize('1.5').should.eql(1.5);
+    });
+
+    it('deserializes empty and invalid values to null', function() {
+      should(transforms.number.deserialize('')).eql(null);
+      should(transforms.number.deserialize('abc')).eql(null);
+    });
+  });
+
+  describe('boolean', function() {
+    it('deserializes strings', function() {
+      transforms.boolean.deserialize('true').should.be.true;
+      transforms.boolean.deserialize('false').should.be.false;
+    });
+
+    it('deserializes missing values to null', function() {
+      should(transforms.boolean.deserialize(undefined)).eql(null);
+    });
+  });
+
+  describe('enum', function() {
+    it('serializes only declared values', function() {
+      var options = { values: ['up', 'down'] };
+
+      transforms.enum.serialize('up', options).should.eql('up');
+      should(transforms.enum.serialize('crashed', options)).eql(null);
+    });
+  });
+
+  describe('model', function() {
+    var Model = function() {};
+
+    Model.isClass            = true;
+    Model.getPrimaryKeyNames = function() { return ['id']; };
+
+    it('leaves missing values alone', function() {
+      should(transforms.model.deserialize(null, { model: Model })).eql(null);
+      should(transforms.model.serialize(undefined, { model: Model })).eql(null);
+    });
+
+    it('serializes a primary key as an object', function() {
+      transforms.model.serialize(1, { model: Model }).should.eql({ id: 1 });
+    });
+
+    it('compares records by identity', function() {
+      var record = {};
+      transforms.model.isEqual(record, record).should.be.true;
+      transforms.model.isEqual([record], [record]).should.be.true;
+      transforms.model.isEqual(record, {}).should.be.false;
+    });
+  });
+});
@@ -33,4 +33,127 @@ describe('RestModel.utils', function() {
       });
     });
   });
+
+  describe('deepEqual', function() {
+    it('compares nested objects and arrays by value', function() {
+      Utils.deepEqual({ a: [{ b: 1 }], c: { d: 2 } }, { c: { d: 2 }, a: [{ b: 1 }] })
+        .should.eql(true);
+      Utils.deepEqual({ a: [{ b: 1 }] }, { a: [{ b: 2 }] }).should.eql(false);
+      Utils.deepEqual({ a: 1 }, { a: 1, b: undefined }).should.eql(false);
+      Utils.deepEqual([1, 2], [1]).should.eql(false);
+    });
+  });
+
+  describe('deepCopy', function() {
+    it('copies nested objects and arrays', function() {
+      var value = { a: [{ b: 1 }] };
+      var copy  = Utils.deepCopy(value);
+
+      copy.should.eql(value);
+      copy.a.should.not.equal(value.a);
+      copy.a[0].should.not.equal(value.a[0]);
+    });
+
+    it('shares other objects', function() {
+      var object = Ember.Object.create();
+      Utils.deepCopy({ a: [object] }).a[0].should.equal(object);
+    });
+  });
+
+  describe('diff', function() {
+    it('returns the changes of nested values keyed by path', function() {
+      Utils.diff({ a: { b: 1 }, c: [{ d: 1 }] }, { a: { b: 2 }, c: [{ d: 1 }] }, 'x')
+        .should.eql({ 'x.a.b': [1, 2] });
+    });
+
+    it('includes changed arrays of different lengths as a whole', function() {
+      Utils.diff([1], [1, 2], 'x').should.eql({ x: [[1], [1, 2]] });
+    });
+  });
+
+  describe('observablePaths', function() {
+    it('lists the paths of nested objects and arrays of objects', function() {
+      Utils.observablePaths('x', {
+        a: { b: 1 },
+        c: [{ d: 1 }, { e: 2 }]
+      }).should.eql(['x.a', 'x.a.b', 'x.c', 'x.c.[]', 'x.c.@each.{d,e}']);
+    });
+
+    it('returns no paths for other values', function() {
+      Utils.observablePaths('x', 'foo').should.eql([]);
+    });
+  });
+
+  describe('param', function() {
+    it('serializes flat objects', function() {
+      Utils.param({ a: 1, b: 'two words' }).should.eql('a=1&b=two%20words');
+    });
+
+    it('serializes nested objects and arrays', function() {
+      Utils.param({ a: { b: 1 }, c: [1, 2] })
+        .should.eql('a%5Bb%5D=1&c%5B%5D=1&c%5B%5D=2');
+    });
+
+    it('skips undefined values', function() {
+      Utils.param({ a: undefined, b: 1 }).should.eql('b=1');
+    });
+  });
+
+  describe('extract', function() {
+    it('removes and returns the given keys', function() {
+      var object = { a: 1, b: 2 };
+      Utils.extract(object, ['a', 'c']).should.eql({ a: 1 });
+      object.should.eql({ b: 2 });
+    });
+  });
+
+  describe('parseLinkHeader', function() {
+    it('returns an object of URLs keyed by rel', function() {
+      Utils.parseLinkHeader('</a?page=2>; rel="next", </a?page=5>; rel="last"')
+        .should.eql({ next: '/a?page=2', last: '/a?page=5' });
+    });
+  });
+
+  describe('parseHeaders', function() {
+    it('returns an object with lowercase header names', function() {
+      Utils.parseHeaders('ETag: "abc"\r\nX-Foo: a: b\r\n')
+        .should.eql({ etag: '"abc"', 'x-foo': 'a: b' });
+    });
+
+    it('returns an empty object without a header string', function() {
+      Utils.parseHeaders(undefined).should.eql({});
+    });
+  });
+
+  describe('createAbortController', function() {
+    it('aborts its signal once, notifying listeners', function() {
+      var controller = Utils.createAbortController();
+      var calls      = 0;
+
+      controller.signal.addEventListener('abort', function() { calls++; });
+      controller.abort();
+      controller.abort();
+
+      controller.signal.aborted.should.eql(true);
+      calls.should.eql(1);
+    });
+
+    it('is aborted along with a parent signal', function() {
+      var parent = Utils.createAbortController();
+      var child  = Utils.createAbortController(parent.signal);
+
+      parent.abort();
+      child.signal.aborted.should.eql(true);
+      Utils.createAbortController(parent.signal).signal.aborted.should.eql(true);
+    });
+
+    it('stops following its parent signal once detached', function() {
+      var parent = Utils.createAbortController();
+      var child  = Utils.createAbortController(parent.signal);
+
+      child.detach();
+      parent.abort();
+      child.signal.aborted.should.eql(false);
+    });
+  });
 });
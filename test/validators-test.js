@@ -0,0 +1,58 @@
+'use strict';
+
+require('./test-helper');
+
+var should     = require('should');
+var validators = require('../lib/validators');
+
+describe('RestModel.validators', function() {
+  describe('presence', function() {
+    it('rejects blank values', function() {
+      validators.presence('  ', {}).should.eql('can\'t be blank');
+      should(validators.presence('foo', {})).eql(undefined);
+    });
+  });
+
+  describe('format', function() {
+    it('accepts a pattern in the with option', function() {
+      validators.format('foo', { with: /bar/ }).should.eql('is invalid');
+    });
+
+    it('ignores blank values', function() {
+      should(validators.format('', /bar/)).eql(undefined);
+    });
+  });
+
+  describe('length', function() {
+    it('checks the minimum, maximum and exact length', function() {
+      validators.length('a', { min: 2 }).should.eql('is too short (minimum is 2 characters)');
+      validators.length('abc', { max: 2 }).should.eql('is too long (maximum is 2 characters)');
+      validators.length('abc', { is: 2 }).should.eql('is the wrong length (should be 2 characters)');
+      should(validators.length('ab', { min: 2, max: 2 })).eql(undefined);
+    });
+  });
+
+  describe('numericality', function() {
+    it('rejects non-numeric values', function() {
+      validators.numericality('abc', {}).should.eql('is not a number');
+      should(validators.numericality('1.5', {})).eql(undefined);
+    });
+
+    it('checks bounds', function() {
+      validators.numericality(1, { greaterThan: 1 }).should.eql('must be greater than 1');
+      validators.numericality(0, { greaterThanOrEqualTo: 1 })
+        .should.eql('must be greater than or equal to 1');
+      validators.numericality(1, { lessThan: 1 }).should.eql('must be less than 1');
+      validators.numericality(2, { lessThanOrEqualTo: 1 })
+        .should.eql('must be less than or equal to 1');
+    });
+  });
+
+  describe('custom', function() {
+    it('accepts a validate option', function() {
+      validators.custom(1, {
+        validate: function(value) { return value === 1 ? 'is one' : null; }
+      }).should.eql('is one');
+    });
+  });
+});